@@ -0,0 +1,147 @@
+/**
+ * Announcer - Reads timeline changes to screen readers through a live region
+ *
+ * Scrolling can cross several eras and dozens of books in a second, so changes are
+ * collected and read as one short message at most every ANNOUNCE_INTERVAL: the
+ * latest era, the books that came into view and any milestones reached. Books that
+ * leave again before the message is read are dropped from it.
+ */
+
+import { formatYearParts } from './data-loader.js';
+
+const ANNOUNCE_INTERVAL = 1500; // ms between announcements
+const SETTLE_DELAY = 400;       // ms to gather further changes after the first before announcing
+const MAX_LISTED = 4;           // Names listed before "and N more"
+
+export class Announcer {
+    /**
+     * @param {HTMLElement} element - Live region (role="status")
+     */
+    constructor(element) {
+        this.element = element;
+
+        // What was on screen last frame, to spot what's new
+        this.eraId = null;
+        this.bookIds = new Set();
+        this.milestoneIds = new Set();
+
+        // Changes waiting to be announced
+        this.pending = { era: null, books: new Map(), milestones: new Map() };
+        this.year = null;
+        this.timer = null;
+        this.lastAnnounced = 0;
+    }
+
+    /**
+     * Compare the current frame with the last and queue anything new
+     * @param {Object} state - { year, era, books, milestones } currently shown
+     */
+    update({ year, era, books, milestones }) {
+        this.year = year;
+
+        if (era && era.id !== this.eraId) {
+            // Skip the era the timeline opens in; it's on screen from the start
+            if (this.eraId !== null) this.pending.era = era;
+            this.eraId = era.id;
+        }
+
+        const bookIds = new Set(books.map(book => book.id));
+        for (const book of books) {
+            if (!this.bookIds.has(book.id)) this.pending.books.set(book.id, book);
+        }
+        for (const bookId of this.pending.books.keys()) {
+            if (!bookIds.has(bookId)) this.pending.books.delete(bookId);
+        }
+        this.bookIds = bookIds;
+
+        const milestoneIds = new Set(milestones.map(milestone => milestone.id));
+        for (const milestone of milestones) {
+            if (!this.milestoneIds.has(milestone.id)) this.pending.milestones.set(milestone.id, milestone);
+        }
+        for (const milestoneId of this.pending.milestones.keys()) {
+            if (!milestoneIds.has(milestoneId)) this.pending.milestones.delete(milestoneId);
+        }
+        this.milestoneIds = milestoneIds;
+
+        if (this.hasPending()) this.schedule();
+    }
+
+    /**
+     * Check whether anything is waiting to be announced
+     * @returns {boolean} True if a message is due
+     */
+    hasPending() {
+        const { era, books, milestones } = this.pending;
+        return era !== null || books.size > 0 || milestones.size > 0;
+    }
+
+    /**
+     * Announce the pending changes shortly after the first one, and no sooner than
+     * ANNOUNCE_INTERVAL after the last announcement. The timer isn't restarted by later
+     * changes, so a long scroll is read out every ANNOUNCE_INTERVAL as it goes.
+     */
+    schedule() {
+        if (this.timer !== null) return;
+
+        const wait = Math.max(SETTLE_DELAY, this.lastAnnounced + ANNOUNCE_INTERVAL - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, wait);
+    }
+
+    /**
+     * Write the pending changes to the live region as one message
+     */
+    flush() {
+        if (!this.element || !this.hasPending()) return;
+
+        const { era, books, milestones } = this.pending;
+        const parts = [];
+
+        if (this.year !== null) {
+            const { number, suffix } = formatYearParts(this.year);
+            parts.push(`${number} ${suffix}`.trim());
+        }
+        if (era) parts.push(era.name);
+        if (books.size > 0) {
+            parts.push(`Now in view: ${listNames([...books.values()].map(book => book.name), 'book')}`);
+        }
+        if (milestones.size > 0) {
+            const names = [...milestones.values()].map(milestone => milestone.name);
+            parts.push(`${milestones.size === 1 ? 'Milestone' : 'Milestones'}: ${listNames(names, 'milestone')}`);
+        }
+
+        this.element.textContent = parts.join('. ') + '.';
+        this.lastAnnounced = Date.now();
+        this.pending = { era: null, books: new Map(), milestones: new Map() };
+    }
+
+    /**
+     * Forget what's on screen (intro/closing states), so returning announces afresh
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.bookIds = new Set();
+        this.milestoneIds = new Set();
+        this.pending = { era: null, books: new Map(), milestones: new Map() };
+    }
+}
+
+/**
+ * List names, shortening long lists, e.g. "Amos, Hosea, Micah, Isaiah and 3 more books"
+ * @param {Array} names - Names to list
+ * @param {string} noun - What is listed, for the "more" count
+ * @returns {string} Readable list
+ */
+function listNames(names, noun) {
+    if (names.length <= MAX_LISTED) {
+        return names.length === 1
+            ? names[0]
+            : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+
+    const more = names.length - MAX_LISTED;
+    return `${names.slice(0, MAX_LISTED).join(', ')} and ${more} more ${more === 1 ? noun : `${noun}s`}`;
+}
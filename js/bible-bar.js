@@ -0,0 +1,152 @@
+/**
+ * Bible Bar - A strip of every verse in canonical order, lighting up the books in view
+ *
+ * Books sit at their verse positions in the 73-book numbering (startPosition/endPosition
+ * in books.json), with the Testaments divided at otEndPosition. Books in that numbering
+ * but outside the selected canon are greyed out; books outside the numbering (e.g. 1 Enoch)
+ * follow the strip on the same scale. Clicking a book jumps to it.
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+export class BibleBar {
+    /**
+     * @param {HTMLElement} container - Bar element
+     * @param {Array} books - Books in the selected canon
+     * @param {Object} options - { allBooks, totalVerses, otEndPosition } from books.json
+     */
+    constructor(container, books, options = {}) {
+        this.container = container;
+        this.allBooks = options.allBooks || books;
+        this.totalVerses = options.totalVerses;
+        this.otEndPosition = options.otEndPosition;
+
+        this.books = books;
+        this.segments = new Map(); // bookId → segment element (books in the canon only)
+        this.summaryElement = null;
+        this.visibleKey = null; // Visible book ids last drawn, to skip repeat updates
+
+        this.render();
+    }
+
+    /**
+     * Use a new book set (e.g. after the canon changes)
+     * @param {Array} books - Books in the selected canon
+     */
+    setBooks(books) {
+        this.books = books;
+        this.render();
+    }
+
+    /**
+     * Build the strip
+     */
+    render() {
+        if (!this.container) return;
+
+        const inCanon = new Set(this.books.map(book => book.id));
+        const numbered = this.allBooks
+            .filter(book => book.startPosition !== null && book.endPosition !== null)
+            .sort((a, b) => a.startPosition - b.startPosition);
+        const unnumbered = this.books
+            .filter(book => book.startPosition === null || book.endPosition === null)
+            .sort((a, b) => a.order - b.order);
+
+        const percent = (verses) => `${(verses / this.totalVerses) * 100}%`;
+
+        const numberedSegments = numbered.map(book => {
+            const verses = book.endPosition - book.startPosition + 1;
+            const style = `left: ${percent(book.startPosition)}; width: ${percent(verses)}`;
+            return this.createSegment(book, verses, style, inCanon.has(book.id));
+        }).join('');
+
+        const extraVerses = unnumbered.reduce((sum, book) => sum + book.verseCount, 0);
+        const extraSegments = unnumbered
+            .map(book => this.createSegment(book, book.verseCount, `flex-grow: ${book.verseCount}`, true))
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="bible-bar__strips">
+                <div class="bible-bar__strip" style="flex-grow: ${this.totalVerses}">
+                    ${numberedSegments}
+                    <span class="bible-bar__divider" style="left: ${percent(this.otEndPosition + 1)}" aria-hidden="true"></span>
+                </div>
+                ${extraSegments ? `<div class="bible-bar__extra" style="flex-grow: ${extraVerses}" title="Outside the 73-book numbering">${extraSegments}</div>` : ''}
+            </div>
+            <p class="bible-bar__summary"></p>
+        `;
+
+        this.segments = new Map(
+            [...this.container.querySelectorAll('a.bible-bar__book')].map(el => [el.dataset.book, el])
+        );
+        this.summaryElement = this.container.querySelector('.bible-bar__summary');
+        this.visibleKey = null;
+    }
+
+    /**
+     * Create the markup for one book's segment
+     * @param {Object} book - Book object
+     * @param {number} verses - Verse count
+     * @param {string} style - Inline position/size
+     * @param {boolean} inCanon - Whether the book is in the selected canon (only those link)
+     * @returns {string} HTML string
+     */
+    createSegment(book, verses, style, inCanon) {
+        const testament = book.testament === 'NT' ? 'nt' : 'ot';
+        const name = escapeHtml(book.name);
+
+        if (!inCanon) {
+            return `<span class="bible-bar__book bible-bar__book--${testament} is-excluded" style="${style}" title="${name} · not in this canon"></span>`;
+        }
+
+        return `<a class="bible-bar__book bible-bar__book--${testament}" href="#book=${encodeURIComponent(book.id)}" ` +
+            `data-book="${escapeHtml(book.id)}" style="${style}" title="${name} · ${verses.toLocaleString()} verses" ` +
+            `aria-label="${name}"></a>`;
+    }
+
+    /**
+     * Light up the books on screen
+     * @param {Array} bookIds - Ids of the visible books
+     */
+    setVisibleBooks(bookIds) {
+        const key = bookIds.join(',');
+        if (key === this.visibleKey) return;
+        this.visibleKey = key;
+
+        const visible = new Set(bookIds);
+        for (const [bookId, element] of this.segments) {
+            element.classList.toggle('is-visible', visible.has(bookId));
+        }
+
+        this.container?.classList.add('visible');
+        this.updateSummary(visible);
+    }
+
+    /**
+     * Show how much of the canon is in view
+     * @param {Set} visible - Ids of the visible books
+     */
+    updateSummary(visible) {
+        if (!this.summaryElement) return;
+
+        const total = this.books.reduce((sum, book) => sum + book.verseCount, 0);
+        const inView = this.books
+            .filter(book => visible.has(book.id))
+            .reduce((sum, book) => sum + book.verseCount, 0);
+        const count = visible.size === 1 ? '1 book' : `${visible.size} books`;
+
+        this.summaryElement.textContent =
+            `${count} in view · ${inView.toLocaleString()} of ${total.toLocaleString()} verses`;
+    }
+
+    /**
+     * Hide the bar (intro/closing states)
+     */
+    clear() {
+        for (const element of this.segments.values()) {
+            element.classList.remove('is-visible');
+        }
+        this.container?.classList.remove('visible');
+        this.visibleKey = null;
+    }
+}
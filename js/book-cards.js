@@ -1,5 +1,8 @@
 /**
  * Book Cards - Generates timeline content with grouped/side-by-side layout
+ *
+ * Used by the list view (list-view.js). Each book is focusable and carries
+ * data-book-id so the list can open its details.
  */
 
 import {
@@ -8,6 +11,7 @@ import {
     groupBooksByTime,
     calculateScrollPositions
 } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
 
 /**
  * Process books and generate grouped steps
@@ -74,8 +78,8 @@ function createSingleBookContent(book) {
         : formatDateRange(date.start, date.end);
 
     return `
-        <div class="step-content">
-            <h2 class="book-title">${book.name}</h2>
+        <div class="step-content" data-book-id="${escapeHtml(book.id)}" tabindex="0">
+            <h3 class="book-title">${escapeHtml(book.name)}</h3>
             <p class="book-description">${dateDisplay}</p>
             <p class="book-meta">${book.verseCount.toLocaleString()} verses · ${book.testament === 'OT' ? 'Old Testament' : 'New Testament'}${book.isDeuterocanonical ? ' · Deuterocanonical' : ''}</p>
         </div>
@@ -93,23 +97,20 @@ function createMultiBookContent(group) {
             : formatDateRange(date.start, date.end);
 
         return `
-            <div class="book-item">
-                <h3 class="book-item__title">${book.name}</h3>
+            <div class="book-item" data-book-id="${escapeHtml(book.id)}" tabindex="0">
+                <h3 class="book-item__title">${escapeHtml(book.name)}</h3>
                 <p class="book-item__date">${dateDisplay}</p>
                 <p class="book-item__meta">${book.verseCount.toLocaleString()} verses</p>
             </div>
         `;
     }).join('');
 
-    // Group era info
-    const eraName = group.era ? group.era.name : '';
-
     return `
         <div class="step-content step-content--multi">
             <div class="book-group">
                 ${booksHtml}
             </div>
-            <p class="group-meta">${group.books.length} books from the same era</p>
+            <p class="group-meta">${formatDateRange(group.startDate, group.endDate)} · ${group.books.length} books from the same era</p>
         </div>
     `;
 }
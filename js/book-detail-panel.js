@@ -0,0 +1,230 @@
+/**
+ * Book Detail Panel - Shows full details for a book when its card is clicked
+ *
+ * The panel floats over the timeline without locking scroll, so the
+ * scroll-driven animation keeps running behind it. Closes with Escape.
+ */
+
+import { formatDateRange, getBookDates, CANON_TRADITIONS } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+
+export class BookDetailPanel {
+    /**
+     * @param {HTMLElement} element - Panel container element
+     * @param {Object} options - { artwork, totalVerses, progress (ReadingProgress), onClose }
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.artwork = options.artwork || {}; // bookId → { title, artist, year, location, image }
+        this.totalVerses = options.totalVerses || null;
+        this.progress = options.progress || null;
+        this.onClose = options.onClose || null;
+
+        this.book = null;
+        this.returnFocus = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.element?.addEventListener('click', (e) => {
+            if (e.target.closest('.book-detail__close')) this.close();
+        });
+        this.element?.addEventListener('change', (e) => this.handleProgressInput(e));
+    }
+
+    /**
+     * Open the panel for a book
+     * @param {Object} book - Book object
+     */
+    open(book) {
+        if (!this.element) return;
+
+        if (!this.book) {
+            this.returnFocus = document.activeElement;
+            document.addEventListener('keydown', this.handleKeydown);
+        }
+        this.book = book;
+
+        this.element.innerHTML = this.render(book);
+        this.element.hidden = false;
+
+        // Trigger reflow so the fade-in transition runs
+        this.element.offsetHeight;
+        this.element.classList.add('visible');
+
+        this.element.querySelector('.book-detail__close')?.focus({ preventScroll: true });
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        if (!this.element || !this.book) return;
+
+        this.book = null;
+        this.element.classList.remove('visible');
+        this.element.hidden = true;
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+
+        if (this.onClose) this.onClose();
+    }
+
+    /**
+     * Check whether the panel is showing a book
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.book !== null;
+    }
+
+    /**
+     * Close on Escape
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Build the panel markup for a book
+     * @param {Object} book - Book object
+     * @returns {string} HTML string
+     */
+    render(book) {
+        const dates = getBookDates(book);
+        const rows = [
+            ['Testament', book.testament === 'OT' ? 'Old Testament' : 'New Testament'],
+            ['Status', this.getCanonStatus(book)],
+            ['Events', formatDateRange(dates.dateEventsStart, dates.dateEventsEnd)],
+            ['Written', dates.dateWrittenStart !== null
+                ? `c. ${formatDateRange(dates.dateWrittenStart, dates.dateWrittenEnd)}`
+                : 'Unknown'],
+            ['Verses', book.verseCount.toLocaleString()],
+            ['Canonical order', book.order],
+            ['Verse span', this.formatVerseSpan(book)]
+        ];
+
+        // Say which dating scheme the dates come from, and its source
+        if (dates.dateSet) {
+            const { scheme, label, source } = dates.dateSet;
+            rows.splice(4, 0, [`${scheme.name} dating`, source ? `${label} — ${source}` : label]);
+        }
+
+        const rowsHtml = rows.map(([label, value]) => `
+            <dt class="book-detail__label">${escapeHtml(label)}</dt>
+            <dd class="book-detail__value">${escapeHtml(value)}</dd>
+        `).join('');
+
+        return `
+            <button type="button" class="book-detail__close" aria-label="Close details">&times;</button>
+            <h2 class="book-detail__title" id="book-detail-title">${escapeHtml(book.name)}</h2>
+            <dl class="book-detail__facts">${rowsHtml}</dl>
+            ${this.renderProgress(book)}
+            ${this.renderArtwork(book)}
+        `;
+    }
+
+    /**
+     * Build the reading progress controls (read checkbox and verses read)
+     * @param {Object} book - Book object
+     * @returns {string} HTML string (empty without a progress store)
+     */
+    renderProgress(book) {
+        if (!this.progress) return '';
+
+        const verses = this.progress.getVersesRead(book.id);
+        return `
+            <div class="book-detail__progress">
+                <label class="book-detail__read">
+                    <input type="checkbox" class="book-detail__read-checkbox"${verses >= book.verseCount ? ' checked' : ''}>
+                    Read
+                </label>
+                <label class="book-detail__verses">
+                    <input type="number" class="book-detail__verses-input" min="0" max="${book.verseCount}" step="1" value="${verses}">
+                    of ${book.verseCount.toLocaleString()} verses read
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Record progress from the read checkbox or the verses-read box
+     * @param {Event} e - Change event
+     */
+    handleProgressInput(e) {
+        if (!this.progress || !this.book) return;
+
+        const checkbox = this.element.querySelector('.book-detail__read-checkbox');
+        const versesInput = this.element.querySelector('.book-detail__verses-input');
+
+        if (e.target === checkbox) {
+            this.progress.setRead(this.book.id, checkbox.checked);
+        } else if (e.target === versesInput) {
+            this.progress.setVersesRead(this.book.id, Number(versesInput.value));
+        } else {
+            return;
+        }
+
+        // Show the stored (clamped) value in both controls
+        const verses = this.progress.getVersesRead(this.book.id);
+        checkbox.checked = verses >= this.book.verseCount;
+        versesInput.value = verses;
+    }
+
+    /**
+     * Build the painting credit for a book, if it has one
+     * @param {Object} book - Book object
+     * @returns {string} HTML string (empty if no artwork)
+     */
+    renderArtwork(book) {
+        const art = this.artwork[book.id];
+        if (!art) return '';
+
+        const meta = [art.artist, art.year, art.location].filter(Boolean).map(escapeHtml).join(' · ');
+
+        return `
+            <figure class="book-detail__artwork">
+                <figcaption>
+                    <span class="book-detail__artwork-title">${escapeHtml(art.title)}</span>
+                    <span class="book-detail__artwork-meta">${meta}</span>
+                </figcaption>
+            </figure>
+        `;
+    }
+
+    /**
+     * Describe which canons include a book
+     * @param {Object} book - Book object
+     * @returns {string} Status text
+     */
+    getCanonStatus(book) {
+        if (book.canons) {
+            const names = Object.values(CANON_TRADITIONS)
+                .filter(t => book.canons.includes(t.id))
+                .map(t => t.name);
+            return `${names.join(' and ')} canons only`;
+        }
+        return book.isDeuterocanonical ? 'Deuterocanonical' : 'Protocanonical';
+    }
+
+    /**
+     * Format a book's position in the continuous verse numbering
+     * @param {Object} book - Book object
+     * @returns {string} e.g. "19,870–21,233 of 35,817"
+     */
+    formatVerseSpan(book) {
+        if (book.startPosition === null || book.endPosition === null) {
+            return 'Outside the 73-book numbering';
+        }
+
+        // Positions are zero-based; show them one-based
+        const span = `${(book.startPosition + 1).toLocaleString()}–${(book.endPosition + 1).toLocaleString()}`;
+        return this.totalVerses ? `${span} of ${this.totalVerses.toLocaleString()}` : span;
+    }
+}
@@ -5,9 +5,22 @@
  * 1. Entry phase: Slides in from bottom as year approaches start date
  * 2. Visible phase: Parked in center between start and end dates
  * 3. Exit phase: Slides out to top as year passes end date
+ *
+ * Each book keeps the same grid cell throughout (see card-layout.js), so related
+ * books sit together and a year always looks the same. Books that have lent their
+ * cell to a newer book are listed behind a "+N more" chip under the grid.
+ *
+ * Cards leaving the grid go back to a pool and are refilled for the next book that
+ * comes in, and card events are handled on the grid, so scrolling past many books
+ * doesn't keep building elements. Positions are written through style-batch.js.
  */
 
-import { getDisplayDate, formatDateRange, getEraForYear } from './data-loader.js';
+import { getDisplayDate, getSecondaryDate, formatDateRange, getEraForYear, getDatingMode, DATING_MODES } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+import { READ_STATUS } from './reading-progress.js';
+import { assignCells } from './card-layout.js';
+import { IntervalIndex } from './lookup.js';
+import { queueStyles, forgetStyles } from './style-batch.js';
 
 // Dynamic lead years based on busyness
 const LEAD_YEARS_MIN = 1;  // Busy periods (many overlapping books)
@@ -23,10 +36,16 @@ export class BookManager {
     /**
      * @param {Array} books - Array of book objects with date properties
      * @param {HTMLElement} container - Container element for book grid
+     * @param {Object} options - { onSelect(book, era) } called when a card is clicked,
+     *                            { onHover(book | null) } called when a card is hovered,
+     *                            { progress } ReadingProgress used to mark read books
      */
-    constructor(books, container) {
+    constructor(books, container, options = {}) {
         this.books = books;
         this.container = container;
+        this.onSelect = options.onSelect || null;
+        this.onHover = options.onHover || null;
+        this.progress = options.progress || null;
 
         // Track visible books: bookId → { element, book, era, cell }
         this.visibleBooks = new Map();
@@ -34,22 +53,94 @@ export class BookManager {
         // Track which grid cells are occupied: cell index → bookId
         this.occupiedCells = new Map();
 
+        // Cards no longer showing, ready to be refilled (never more than one per cell)
+        this.cardPool = [];
+
+        // Books in range without a card (cell lent out, or none found), in date order: { book, era, isWritingDate, start, end }
+        this.overflowBooks = [];
+        this.overflowKey = null; // Overflow book ids last drawn, to skip repeat updates
+        this.overflowElement = null;
+        this.overflowPreviewId = null; // Book whose background the overflow list is previewing
+
         // Background element for hover effect
         this.backgroundElement = document.getElementById('book-background');
         this.blurElement = this.backgroundElement?.querySelector('.book-background__blur');
         this.sharpElement = this.backgroundElement?.querySelector('.book-background__sharp');
         this.activeHoverBook = null;
         this.lastShowTime = 0; // Track when background was shown to prevent immediate toggle
+        this.pinnedBackground = null; // { era, bookId } kept visible while a book is selected
+        this.relatedBookIds = new Set(); // Cards highlighted from elsewhere (e.g. a hovered king)
 
         // Pre-process books for quick lookup
         this.booksByDate = this.preprocessBooks();
+        this.bookIndex = this.indexBooks();
 
         this.currentYear = null;
+
+        this.bindCardEvents();
+    }
+
+    /**
+     * Set up card hover, focus, click and key handlers (delegated, so pooled cards
+     * pick up whichever book they're showing)
+     */
+    bindCardEvents() {
+        if (!this.container) return;
+
+        // The showing book for an event on a card, or null for anything else in the grid
+        const dataFor = (e) => {
+            const card = e.target.closest('.book-card');
+            return card ? this.visibleBooks.get(card.dataset.bookId) || null : null;
+        };
+        const preview = (data) => {
+            this.showBackground(data.era, data.book.id);
+            if (this.onHover) this.onHover(data.book);
+        };
+        const endPreview = () => {
+            this.hideBackground();
+            if (this.onHover) this.onHover(null);
+        };
+
+        // Hover shows the background (mouseover/out only count crossing a card's edge)
+        this.container.addEventListener('mouseover', (e) => {
+            const data = dataFor(e);
+            if (data && !data.element.contains(e.relatedTarget)) preview(data);
+        });
+        this.container.addEventListener('mouseout', (e) => {
+            const data = dataFor(e);
+            if (data && !data.element.contains(e.relatedTarget)) endPreview();
+        });
+
+        // Focus previews the background like hovering does, for keyboard users
+        this.container.addEventListener('focusin', (e) => {
+            const data = dataFor(e);
+            if (data && e.target === data.element) preview(data);
+        });
+        this.container.addEventListener('focusout', (e) => {
+            const data = dataFor(e);
+            if (data && e.target === data.element) endPreview();
+        });
+
+        // Click opens the book's details (or toggles the background on mobile if nothing handles selection)
+        this.container.addEventListener('click', (e) => {
+            const data = dataFor(e);
+            if (data) this.selectBook(data.book, data.era, e);
+        });
+
+        // Enter or Space does the same from the keyboard
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            const data = dataFor(e);
+            if (!data || e.target !== data.element) return;
+            e.preventDefault();
+            this.selectBook(data.book, data.era, e);
+        });
     }
 
     /**
      * Pre-process books into a sorted list for efficient visibility checks
-     * Calculates dynamic lead times based on how busy each time period is
+     * Calculates dynamic lead times based on how busy each time period is,
+     * then gives each book its grid cell
      */
     preprocessBooks() {
         // First pass: collect all book date ranges
@@ -106,7 +197,43 @@ export class BookManager {
             };
         });
 
-        return processedBooks.sort((a, b) => a.start - b.start);
+        processedBooks.sort((a, b) => a.start - b.start);
+
+        // Give each book its fixed grid cell (borrowed from a long-running book if the grid
+        // is full as it arrives; null only if there's no cell left to borrow either)
+        const cells = assignCells(processedBooks, { columns: GRID_COLUMNS, rows: GRID_ROWS });
+        for (const entry of processedBooks) {
+            entry.cell = cells.get(entry.book.id);
+        }
+
+        return processedBooks;
+    }
+
+    /**
+     * Index the books by their extended range, for finding those on screen in a year
+     * @returns {IntervalIndex} Entries from booksByDate; queries keep their start order
+     */
+    indexBooks() {
+        return new IntervalIndex(this.booksByDate, entry => entry.entryStart, entry => entry.exitEnd);
+    }
+
+    /**
+     * Replace the book set (e.g. when the canon tradition changes)
+     * @param {Array} books - Array of book objects with date properties
+     */
+    setBooks(books) {
+        this.books = books;
+        this.refreshDates();
+    }
+
+    /**
+     * Recompute book date ranges after the dating mode changes
+     * Removes all cards so they are recreated with the new dates
+     */
+    refreshDates() {
+        this.clear();
+        this.booksByDate = this.preprocessBooks();
+        this.bookIndex = this.indexBooks();
     }
 
     /**
@@ -116,19 +243,28 @@ export class BookManager {
     updateForYear(year) {
         this.currentYear = year;
 
-        // Determine which books should be in the extended visible range
-        const shouldBeVisible = new Set();
+        // Books in their extended range take their cell; books without one wait behind the chip.
+        // Two books in range share a cell when the earlier one is fading out or has lent the cell,
+        // and the later one wins it; a lender (still within its dates) waits behind the chip.
+        const cellOwners = new Map(); // cell → entry
+        const overflow = [];
 
-        for (const entry of this.booksByDate) {
-            if (year >= entry.entryStart && year <= entry.exitEnd) {
-                shouldBeVisible.add(entry.book.id);
+        for (const entry of this.bookIndex.query(year)) {
+            if (entry.cell === null) {
+                overflow.push(entry);
+                continue;
             }
+
+            const holder = cellOwners.get(entry.cell);
+            if (holder && year <= holder.end) overflow.push(holder);
+            cellOwners.set(entry.cell, entry);
         }
+        overflow.sort((a, b) => a.start - b.start);
 
-        // Remove books that are completely out of range
+        // Remove books that are out of range or have handed their cell on
         const toRemove = [];
         for (const [bookId, data] of this.visibleBooks) {
-            if (!shouldBeVisible.has(bookId)) {
+            if (cellOwners.get(data.cell)?.book.id !== bookId) {
                 toRemove.push(bookId);
             }
         }
@@ -138,23 +274,137 @@ export class BookManager {
         }
 
         // Add books that should be visible and update all positions
-        for (const entry of this.booksByDate) {
-            if (!shouldBeVisible.has(entry.book.id)) continue;
-
-            // Try to add to DOM if not already there
-            // Keep trying each frame in case a column frees up
+        for (const entry of cellOwners.values()) {
             if (!this.visibleBooks.has(entry.book.id)) {
-                this.addBook(entry.book, entry.isWritingDate, entry.era);
+                this.addBook(entry.book, entry.isWritingDate, entry.era, entry.cell);
             }
 
-            // Only update position if the book was successfully added
-            if (this.visibleBooks.has(entry.book.id)) {
-                const position = this.calculatePosition(year, entry);
-                this.updateBookPosition(entry.book.id, position);
+            const position = this.calculatePosition(year, entry);
+            this.updateBookPosition(entry.book.id, position);
+        }
+
+        this.updateOverflow(overflow);
+    }
+
+    /**
+     * Show the books that didn't fit in the grid behind a "+N more" chip
+     * @param {Array} entries - Book entries without a cell, in date order
+     */
+    updateOverflow(entries) {
+        this.overflowBooks = entries;
+
+        const key = entries.map(entry => entry.book.id).join(',');
+        if (key === this.overflowKey) return;
+        this.overflowKey = key;
+
+        // Redrawing drops focus from the list, so keep it on the chip (or the grid once it's gone)
+        const hadFocus = this.overflowElement?.contains(document.activeElement);
+
+        if (entries.length === 0) {
+            if (this.overflowElement) {
+                this.hideOverflowBackground();
+                this.overflowElement.hidden = true;
+                this.setOverflowExpanded(false);
+                if (hadFocus) this.container.focus({ preventScroll: true });
             }
+            return;
+        }
+
+        const element = this.getOverflowElement();
+        const toggle = element.querySelector('.book-overflow__toggle');
+        toggle.textContent = `+${entries.length} more`;
+        toggle.setAttribute('aria-label', `${entries.length} more ${entries.length === 1 ? 'book' : 'books'} in this period`);
+
+        element.querySelector('.book-overflow__list').innerHTML = entries.map(({ book, era, isWritingDate, start, end }) => `
+            <li>
+                <button type="button" class="book-overflow__book" data-book-id="${escapeHtml(book.id)}" data-era="${escapeHtml(era ? era.id : 'wisdom')}">
+                    <span class="book-overflow__name">${escapeHtml(book.name)}</span>
+                    <span class="book-overflow__date">${isWritingDate ? 'Written c. ' : ''}${formatDateRange(start, end)}</span>
+                </button>
+            </li>
+        `).join('');
+
+        element.hidden = false;
+        if (hadFocus && !element.contains(document.activeElement)) {
+            toggle.focus({ preventScroll: true });
         }
     }
 
+    /**
+     * Get the overflow chip, creating it on first use
+     * Its list previews a book's background on hover or focus and opens it on click, like a card
+     * @returns {HTMLElement} Chip element
+     */
+    getOverflowElement() {
+        if (this.overflowElement) return this.overflowElement;
+
+        const element = document.createElement('div');
+        element.className = 'book-overflow';
+        element.hidden = true;
+        element.innerHTML = `
+            <button type="button" class="book-overflow__toggle" aria-expanded="false" aria-controls="book-overflow-list"></button>
+            <ul class="book-overflow__list" id="book-overflow-list" hidden></ul>
+        `;
+
+        const entryFor = (e) => {
+            const item = e.target.closest('.book-overflow__book');
+            return item ? this.overflowBooks.find(entry => entry.book.id === item.dataset.bookId) : null;
+        };
+        const preview = (e) => {
+            const entry = entryFor(e);
+            if (!entry) return;
+            this.overflowPreviewId = entry.book.id;
+            this.showBackground(entry.era, entry.book.id);
+            if (this.onHover) this.onHover(entry.book);
+        };
+
+        element.addEventListener('click', (e) => {
+            if (e.target.closest('.book-overflow__toggle')) {
+                this.setOverflowExpanded(element.querySelector('.book-overflow__list').hidden);
+                return;
+            }
+            const entry = entryFor(e);
+            if (entry) this.selectBook(entry.book, entry.era, e);
+        });
+        element.addEventListener('mouseover', preview);
+        element.addEventListener('focusin', preview);
+        element.addEventListener('mouseleave', () => this.hideOverflowBackground());
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) this.hideOverflowBackground();
+        });
+        element.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || element.querySelector('.book-overflow__list').hidden) return;
+            e.preventDefault();
+            this.setOverflowExpanded(false);
+            element.querySelector('.book-overflow__toggle').focus();
+        });
+
+        this.container.appendChild(element);
+        this.overflowElement = element;
+        return element;
+    }
+
+    /**
+     * Open or close the overflow chip's list
+     * @param {boolean} expanded - True to open
+     */
+    setOverflowExpanded(expanded) {
+        if (!this.overflowElement) return;
+        this.overflowElement.querySelector('.book-overflow__list').hidden = !expanded;
+        this.overflowElement.querySelector('.book-overflow__toggle').setAttribute('aria-expanded', String(expanded));
+        this.overflowElement.classList.toggle('is-expanded', expanded);
+    }
+
+    /**
+     * Drop a background previewed from the overflow list (the pinned one stays)
+     */
+    hideOverflowBackground() {
+        if (this.overflowPreviewId === null) return;
+        if (this.activeHoverBook === this.overflowPreviewId) this.hideBackground();
+        if (this.onHover) this.onHover(null);
+        this.overflowPreviewId = null;
+    }
+
     /**
      * Calculate the vertical position of a book based on current year
      * @param {number} year - Current year
@@ -207,23 +457,8 @@ export class BookManager {
 
         const { translateY, opacity, phase } = position;
 
-        // Apply transform and opacity directly
-        data.element.style.transform = `translateY(${translateY}%)`;
-        data.element.style.opacity = opacity;
-        data.element.dataset.phase = phase;
-    }
-
-    /**
-     * Find the first available grid cell
-     * @returns {number|null} Cell index (0-11) or null if grid is full
-     */
-    findAvailableCell() {
-        for (let i = 0; i < TOTAL_CELLS; i++) {
-            if (!this.occupiedCells.has(i)) {
-                return i;
-            }
-        }
-        return null;
+        queueStyles(data.element, { transform: `translateY(${translateY}%)`, opacity });
+        if (data.element.dataset.phase !== phase) data.element.dataset.phase = phase;
     }
 
     /**
@@ -242,17 +477,12 @@ export class BookManager {
      * @param {Object} book - Book object
      * @param {boolean} isWritingDate - Whether using writing date
      * @param {Object} era - Era object for the book
+     * @param {number} cell - Grid cell from the layout (0-11)
      */
-    addBook(book, isWritingDate, era) {
-        // Find an available cell
-        const cell = this.findAvailableCell();
-        if (cell === null) {
-            // Grid is full, skip this book
-            return;
-        }
-
-        // Create book card element
-        const element = this.createBookCard(book, isWritingDate, era);
+    addBook(book, isWritingDate, era, cell) {
+        // Reuse a pooled card if there is one
+        const element = this.cardPool.pop() || this.createBookCard();
+        this.fillBookCard(element, book, isWritingDate, era);
 
         // Assign fixed grid position
         const { row, column } = this.cellToGridPosition(cell);
@@ -264,9 +494,25 @@ export class BookManager {
 
         // Store reference with cell assignment
         this.visibleBooks.set(book.id, { element, book, era, cell });
+        element.classList.toggle('is-related', this.relatedBookIds.has(book.id));
+        this.applyReadState(element, book);
 
-        // Add to container
-        this.container.appendChild(element);
+        // Add to container in cell order, so tabbing and screen readers follow the grid
+        this.container.insertBefore(element, this.findCardAfter(cell) || this.overflowElement);
+    }
+
+    /**
+     * Find the card in the first occupied cell after a given cell
+     * @param {number} cell - Cell index (0-11)
+     * @returns {HTMLElement|null} Card element, or null if none follows
+     */
+    findCardAfter(cell) {
+        for (let i = cell + 1; i < TOTAL_CELLS; i++) {
+            const bookId = this.occupiedCells.get(i);
+            const element = bookId && this.visibleBooks.get(bookId)?.element;
+            if (element) return element;
+        }
+        return null;
     }
 
     /**
@@ -289,43 +535,115 @@ export class BookManager {
             this.occupiedCells.delete(cell);
         }
 
-        // Remove from DOM
+        // Keep keyboard focus in the grid rather than losing it with the card
+        if (element.contains(document.activeElement)) {
+            this.container.focus({ preventScroll: true });
+        }
+
+        // Remove from DOM and keep the card for the next book
         element.remove();
+        forgetStyles(element);
+        element.style.transform = '';
+        element.style.opacity = '';
+        this.cardPool.push(element);
         this.visibleBooks.delete(bookId);
     }
 
     /**
-     * Create a book card element
+     * Create an empty book card element, filled by fillBookCard
+     * @returns {HTMLElement} Book card element
+     */
+    createBookCard() {
+        const card = document.createElement('article');
+        card.className = 'book-card';
+        card.tabIndex = 0;
+
+        card.innerHTML = `
+            <h3 class="book-card__title"></h3>
+            <p class="book-card__date"></p>
+            <p class="book-card__scheme" hidden></p>
+            <p class="book-card__date book-card__date--secondary" hidden></p>
+            <p class="book-card__meta"><span class="book-card__verses"></span><span class="book-card__progress"></span></p>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Show a book on a (new or pooled) card
+     * @param {HTMLElement} card - Book card element
      * @param {Object} book - Book object
      * @param {boolean} isWritingDate - Whether using writing date
      * @param {Object} era - Era object for the book
-     * @returns {HTMLElement} Book card element
      */
-    createBookCard(book, isWritingDate, era) {
+    fillBookCard(card, book, isWritingDate, era) {
         const date = getDisplayDate(book);
         const dateDisplay = isWritingDate
             ? `Written c. ${formatDateRange(date.start, date.end)}`
             : formatDateRange(date.start, date.end);
 
-        const card = document.createElement('div');
         card.className = 'book-card';
         card.dataset.bookId = book.id;
         card.dataset.era = era ? era.id : 'wisdom';
+        delete card.dataset.phase;
+        card.setAttribute('aria-labelledby', `book-card-title-${book.id}`);
+
+        const title = card.querySelector('.book-card__title');
+        title.id = `book-card-title-${book.id}`;
+        title.textContent = book.name;
+        card.querySelector('.book-card__date').textContent = dateDisplay;
+
+        // Note when the shown date comes from a non-default dating scheme
+        const scheme = card.querySelector('.book-card__scheme');
+        const dateSet = date.dateSet && !date.dateSet.scheme.default ? date.dateSet : null;
+        scheme.hidden = !dateSet;
+        scheme.textContent = dateSet ? `${dateSet.scheme.name} dating` : '';
+        scheme.title = dateSet ? `${dateSet.label}${dateSet.source ? ` — ${dateSet.source}` : ''}` : '';
+
+        // In writing mode, the events date is shown underneath as a secondary date
+        const secondary = getDatingMode() === DATING_MODES.WRITING ? getSecondaryDate(book) : null;
+        const secondaryElement = card.querySelector('.book-card__date--secondary');
+        secondaryElement.hidden = !secondary || secondary.isWritingDate;
+        secondaryElement.textContent = secondaryElement.hidden ? '' : `Events ${formatDateRange(secondary.start, secondary.end)}`;
+
+        card.querySelector('.book-card__verses').textContent = `${book.verseCount.toLocaleString()} verses`;
+        card.querySelector('.book-card__progress').textContent = '';
+        card.style.removeProperty('--read-progress');
+    }
 
-        card.innerHTML = `
-            <h3 class="book-card__title">${book.name}</h3>
-            <p class="book-card__date">${dateDisplay}</p>
-            <p class="book-card__meta">${book.verseCount.toLocaleString()} verses</p>
-        `;
+    /**
+     * Handle a click on a book card
+     * @param {Object} book - Book object
+     * @param {Object} era - Era object
+     * @param {Event} e - Click event
+     */
+    selectBook(book, era, e) {
+        if (!this.onSelect) {
+            this.toggleBackground(era, book.id, e);
+            return;
+        }
 
-        // Add hover handlers for background effect
-        card.addEventListener('mouseenter', () => this.showBackground(era, book.id));
-        card.addEventListener('mouseleave', () => this.hideBackground());
+        this.pinBackground(era, book.id);
+        this.onSelect(book, era);
+    }
 
-        // Add click handler for mobile
-        card.addEventListener('click', (e) => this.toggleBackground(era, book.id, e));
+    /**
+     * Keep a book's background showing until unpinned
+     * Hovering other cards still previews theirs; leaving returns to the pinned one
+     * @param {Object} era - Era object
+     * @param {string} bookId - Book ID
+     */
+    pinBackground(era, bookId) {
+        this.pinnedBackground = { era, bookId };
+        this.showBackground(era, bookId);
+    }
 
-        return card;
+    /**
+     * Release the pinned background
+     */
+    unpinBackground() {
+        this.pinnedBackground = null;
+        this.hideBackground();
     }
 
     /**
@@ -338,11 +656,11 @@ export class BookManager {
         this.activeHoverBook = bookId;
         this.lastShowTime = Date.now();
 
-        // Check for book-specific background image
-        const bookData = this.visibleBooks.get(bookId);
-        if (bookData?.book?.backgroundImage) {
+        // Check for book-specific background image (a pinned book may have left the grid)
+        const book = this.visibleBooks.get(bookId)?.book || this.books.find(b => b.id === bookId);
+        if (book?.backgroundImage) {
             // Use book-specific image on both blur and sharp layers
-            const imageUrl = `url('${bookData.book.backgroundImage}')`;
+            const imageUrl = `url('${book.backgroundImage}')`;
             if (this.blurElement) this.blurElement.style.backgroundImage = imageUrl;
             if (this.sharpElement) this.sharpElement.style.backgroundImage = imageUrl;
             this.backgroundElement.classList.add('has-image');
@@ -363,6 +681,15 @@ export class BookManager {
      */
     hideBackground() {
         if (!this.backgroundElement) return;
+
+        // Fall back to the pinned book rather than hiding
+        if (this.pinnedBackground) {
+            if (this.activeHoverBook !== this.pinnedBackground.bookId) {
+                this.showBackground(this.pinnedBackground.era, this.pinnedBackground.bookId);
+            }
+            return;
+        }
+
         this.backgroundElement.classList.remove('visible');
         this.backgroundElement.classList.remove('has-image');
         this.activeHoverBook = null;
@@ -392,6 +719,52 @@ export class BookManager {
         this.showBackground(era, bookId);
     }
 
+    /**
+     * Highlight the cards of related books (e.g. the prophets of a hovered king)
+     * @param {Array|null} bookIds - Book ids to highlight, or null to clear
+     */
+    highlightBooks(bookIds) {
+        this.relatedBookIds = new Set(bookIds || []);
+        for (const [bookId, data] of this.visibleBooks) {
+            data.element.classList.toggle('is-related', this.relatedBookIds.has(bookId));
+        }
+    }
+
+    /**
+     * Show a card's reading progress (read, partly read or unread)
+     * @param {HTMLElement} element - Book card
+     * @param {Object} book - Book object
+     */
+    applyReadState(element, book) {
+        if (!this.progress) return;
+
+        const status = this.progress.getStatus(book);
+        const fraction = this.progress.getFraction(book);
+        element.classList.toggle('is-read', status === READ_STATUS.READ);
+        element.classList.toggle('is-partly-read', status === READ_STATUS.PARTLY);
+        element.style.setProperty('--read-progress', fraction);
+
+        const label = element.querySelector('.book-card__progress');
+        if (!label) return;
+
+        if (status === READ_STATUS.READ) {
+            label.textContent = ' · Read';
+        } else if (status === READ_STATUS.PARTLY) {
+            label.textContent = ` · ${Math.max(1, Math.floor(fraction * 100))}% read`;
+        } else {
+            label.textContent = '';
+        }
+    }
+
+    /**
+     * Update the reading progress shown on the visible cards
+     */
+    refreshReadState() {
+        for (const { element, book } of this.visibleBooks.values()) {
+            this.applyReadState(element, book);
+        }
+    }
+
     /**
      * Get current visible book count
      * @returns {number} Number of visible books
@@ -401,11 +774,14 @@ export class BookManager {
     }
 
     /**
-     * Get array of currently visible books
+     * Get array of currently visible books (those on cards, then those behind the "+N more" chip)
      * @returns {Array} Array of book objects
      */
     getVisibleBooks() {
-        return Array.from(this.visibleBooks.values()).map(v => v.book);
+        return [
+            ...Array.from(this.visibleBooks.values()).map(v => v.book),
+            ...this.overflowBooks.map(entry => entry.book)
+        ];
     }
 
     /**
@@ -416,6 +792,7 @@ export class BookManager {
             this.removeBook(bookId);
         }
         this.occupiedCells.clear();
+        this.updateOverflow([]);
         this.currentYear = null;
     }
 
@@ -426,6 +803,7 @@ export class BookManager {
         console.group('BookManager State');
         console.log('Current Year:', this.currentYear);
         console.log('Visible Books:', this.visibleBooks.size);
+        console.log('Overflow Books:', this.overflowBooks.map(entry => entry.book.name).join(', ') || 'none');
         for (const [id, data] of this.visibleBooks) {
             const entry = this.booksByDate.find(e => e.book.id === id);
             if (entry) {
@@ -0,0 +1,236 @@
+/**
+ * Canon View - Every book in the canon at a glance, in date order or in Bible order
+ *
+ * Tiles carry the same data-era as the book cards, so their era colors show how the
+ * two orders differ (e.g. the Minor Prophets sit together in the Bible but span three
+ * centuries). Switching order slides each tile from its old place to its new one.
+ */
+
+import { getDisplayDate, getBookEra, getEras, formatDateRange } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+
+const ARRANGEMENTS = {
+    chronological: 'By date',
+    canonical: 'Bible order'
+};
+
+// Length of the slide between arrangements (ms)
+const TRANSITION_DURATION = 700;
+
+export class CanonView {
+    /**
+     * @param {HTMLElement} element - Overlay element
+     * @param {Array} books - Books in the selected canon
+     */
+    constructor(element, books) {
+        this.element = element;
+        this.books = books;
+
+        this.arrangement = 'chronological';
+        this.entries = [];      // { book, date, era } for each book
+        this.tiles = new Map(); // bookId → tile element
+        this.listElement = null;
+        this.returnFocus = null;
+        this.isShown = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.element?.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.canon-view__toggle');
+            if (toggle) {
+                this.arrange(toggle.dataset.arrangement);
+                return;
+            }
+            // Following a book link (or clicking outside the dialog) closes the view
+            if (e.target.closest('.canon-view__close, .canon-view__book') || e.target === this.element) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Use a new book set (e.g. after the canon or dating mode changes)
+     * @param {Array} books - Books in the selected canon
+     */
+    setBooks(books) {
+        this.books = books;
+        if (this.isShown) this.render();
+    }
+
+    /**
+     * Open the view in date order, then slide into Bible order
+     */
+    open() {
+        if (!this.element || this.isShown) return;
+
+        this.isShown = true;
+        this.returnFocus = document.activeElement;
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.arrangement = 'chronological';
+        this.render();
+        this.element.hidden = false;
+        this.element.querySelector('.canon-view__close')?.focus({ preventScroll: true });
+
+        requestAnimationFrame(() => this.arrange('canonical'));
+    }
+
+    /**
+     * Close the view
+     */
+    close() {
+        if (!this.element || !this.isShown) return;
+
+        this.isShown = false;
+        this.element.hidden = true;
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check whether the view is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.isShown;
+    }
+
+    /**
+     * Close on Escape
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Build the dialog and its tiles in the current arrangement
+     */
+    render() {
+        const entries = this.books.map(book => ({ book, date: getDisplayDate(book), era: getBookEra(book) }));
+        const eraIds = new Set(entries.map(entry => entry.era ? entry.era.id : 'wisdom'));
+
+        const legend = getEras()
+            .filter(era => eraIds.has(era.id))
+            .map(era => `<li class="canon-view__era" data-era="${escapeHtml(era.id)}">${escapeHtml(era.name)}</li>`)
+            .join('');
+
+        const toggles = Object.entries(ARRANGEMENTS)
+            .map(([id, label]) => `<button type="button" class="canon-view__toggle" data-arrangement="${id}" aria-pressed="false">${label}</button>`)
+            .join('');
+
+        this.element.innerHTML = `
+            <div class="canon-view__dialog" role="dialog" aria-labelledby="canon-view-title">
+                <header class="canon-view__header">
+                    <h2 class="canon-view__title" id="canon-view-title">The books in order</h2>
+                    <div class="canon-view__toggles" role="group" aria-label="Order">${toggles}</div>
+                    <button type="button" class="canon-view__close" aria-label="Close">&times;</button>
+                </header>
+                <ol class="canon-view__books"></ol>
+                <ul class="canon-view__legend" aria-label="Eras">${legend}</ul>
+            </div>
+        `;
+
+        this.entries = entries;
+        this.listElement = this.element.querySelector('.canon-view__books');
+        this.tiles = new Map(entries.map(entry => [entry.book.id, this.createTile(entry)]));
+
+        this.placeTiles(this.arrangement);
+    }
+
+    /**
+     * Create a tile for one book
+     * @param {Object} entry - { book, date, era }
+     * @returns {HTMLElement} Tile element
+     */
+    createTile({ book, date, era }) {
+        const item = document.createElement('li');
+        item.className = 'canon-view__item';
+
+        const dates = date.start === null ? 'Undated' : formatDateRange(date.start, date.end);
+        item.innerHTML = `
+            <a class="canon-view__book" href="#book=${encodeURIComponent(book.id)}" data-era="${escapeHtml(era ? era.id : 'wisdom')}"
+               title="${escapeHtml(book.name)} · ${era ? escapeHtml(era.name) : ''}">
+                <span class="canon-view__abbr">${escapeHtml(book.id)}</span>
+                <span class="canon-view__name">${escapeHtml(book.name)}</span>
+                <span class="canon-view__dates">${dates}</span>
+            </a>
+        `;
+
+        return item;
+    }
+
+    /**
+     * Put the tiles in order (without animation) and mark the active toggle
+     * @param {string} arrangement - Key of ARRANGEMENTS
+     */
+    placeTiles(arrangement) {
+        for (const { book } of this.sortEntries(arrangement)) {
+            this.listElement.appendChild(this.tiles.get(book.id));
+        }
+
+        this.element.querySelectorAll('.canon-view__toggle').forEach(toggle => {
+            toggle.setAttribute('aria-pressed', String(toggle.dataset.arrangement === arrangement));
+        });
+        this.element.querySelector('.canon-view__dialog').dataset.arrangement = arrangement;
+    }
+
+    /**
+     * Switch arrangement, sliding each tile to its new place
+     * @param {string} arrangement - Key of ARRANGEMENTS
+     */
+    arrange(arrangement) {
+        if (!ARRANGEMENTS[arrangement] || !this.listElement) return;
+        this.arrangement = arrangement;
+
+        const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        if (reduceMotion || typeof Element.prototype.animate !== 'function') {
+            this.placeTiles(arrangement);
+            return;
+        }
+
+        // Record where each tile is, reorder, then animate from the old place to the new
+        const before = new Map([...this.tiles].map(([id, tile]) => [id, tile.getBoundingClientRect()]));
+        this.placeTiles(arrangement);
+
+        for (const [id, tile] of this.tiles) {
+            const from = before.get(id);
+            const to = tile.getBoundingClientRect();
+            const dx = from.left - to.left;
+            const dy = from.top - to.top;
+            if (dx === 0 && dy === 0) continue;
+
+            tile.animate(
+                [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'translate(0, 0)' }],
+                { duration: TRANSITION_DURATION, easing: 'cubic-bezier(0.4, 0, 0.2, 1)' }
+            );
+        }
+    }
+
+    /**
+     * Sort the book entries for an arrangement
+     * Date order puts undated books last; Bible order follows each book's `order`
+     * @param {string} arrangement - Key of ARRANGEMENTS
+     * @returns {Array} Sorted entries
+     */
+    sortEntries(arrangement) {
+        const entries = [...this.entries];
+
+        if (arrangement === 'canonical') {
+            return entries.sort((a, b) => a.book.order - b.book.order);
+        }
+
+        return entries.sort((a, b) => {
+            if (a.date.start === null || b.date.start === null) {
+                return (a.date.start === null) - (b.date.start === null) || a.book.order - b.book.order;
+            }
+            return a.date.start - b.date.start || a.book.order - b.book.order;
+        });
+    }
+}
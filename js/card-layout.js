@@ -0,0 +1,192 @@
+/**
+ * Card Layout - Gives each book a fixed cell in the book grid
+ *
+ * Cells are worked out once for the whole book set, so a book always sits in the
+ * same place however the reader got to a year. Books are placed in date order; a
+ * cell can be reused once the dates of the book before in it have ended by the time
+ * the next book starts sliding in (it takes over the cell while the earlier one is
+ * still fading out). A book arriving while every cell is taken borrows the cell of
+ * the book that has been on screen longest (usually a long-dated book such as
+ * Genesis in writing mode), which waits behind the "+N more" chip until the
+ * borrower has gone.
+ *
+ * Among the free cells a book goes where it sits best with the books on screen at
+ * the same time: parallel accounts side by side (Kings and Chronicles), prophets
+ * next to the histories of their day, and books of a kind together. Each part of
+ * the canon also leans to its own row: Old Testament on top, New Testament in the
+ * middle, deuterocanonical books at the bottom.
+ */
+
+// Books telling the same story, placed side by side
+const PARALLEL_BOOKS = [
+    ['1SA', '1CH'],
+    ['2SA', '1CH'],
+    ['1KI', '2CH'],
+    ['2KI', '2CH'],
+    ['EZR', 'NEH'],
+    ['EZR', '1ES'],
+    ['1MA', '2MA'],
+    ['MAT', 'MRK'],
+    ['MRK', 'LUK'],
+    ['LUK', 'JHN'],
+    ['MAT', 'LUK']
+];
+
+// Kinds of book, with the column each leans to
+const BOOK_KINDS = {
+    law: { column: 0, books: ['GEN', 'EXO', 'LEV', 'NUM', 'DEU', 'JUB'] },
+    history: {
+        column: 0,
+        books: ['JOS', 'JDG', 'RUT', '1SA', '2SA', '1KI', '2KI', '1CH', '2CH', 'EZR', 'NEH', 'TOB', 'JDT',
+            'EST', '1MA', '2MA', '1ES', '3MA', 'ACT']
+    },
+    prophets: {
+        column: 1,
+        books: ['ISA', 'JER', 'LAM', 'BAR', 'EZK', 'DAN', 'HOS', 'JOL', 'AMO', 'OBA', 'JON', 'MIC', 'NAM',
+            'HAB', 'ZEP', 'HAG', 'ZEC', 'MAL']
+    },
+    wisdom: { column: 3, books: ['JOB', 'PSA', 'PRO', 'ECC', 'SNG', 'WIS', 'SIR', 'MAN', 'PS2', 'ENO'] },
+    gospels: { column: 0, books: ['MAT', 'MRK', 'LUK', 'JHN'] },
+    letters: {
+        column: 2,
+        books: ['ROM', '1CO', '2CO', 'GAL', 'EPH', 'PHP', 'COL', '1TH', '2TH', '1TI', '2TI', 'TIT', 'PHM',
+            'HEB', 'JAS', '1PE', '2PE', '1JN', '2JN', '3JN', 'JUD']
+    },
+    apocalyptic: { column: 3, books: ['REV'] }
+};
+
+// How much a neighbour counts for, by how the books are related
+const RELATION_WEIGHTS = {
+    parallel: 10,
+    prophetHistory: 5,
+    sameKind: 2,
+    sameSection: 1
+};
+
+const VERTICAL_NEIGHBOUR_FACTOR = 0.5; // A neighbour above or below counts for half
+const ROW_WEIGHT = 2;                  // Cost per row away from the book's section row
+const COLUMN_WEIGHT = 0.5;             // Cost per column away from the book's kind column
+
+const parallelPairs = new Set(PARALLEL_BOOKS.flatMap(([a, b]) => [`${a}|${b}`, `${b}|${a}`]));
+const kindByBook = new Map(
+    Object.entries(BOOK_KINDS).flatMap(([kind, { books }]) => books.map(id => [id, kind]))
+);
+
+/**
+ * Assign a grid cell to each book entry
+ * @param {Array} entries - { book, start, end, entryStart, exitEnd } sorted by start
+ * @param {Object} grid - { columns, rows }
+ * @returns {Map} bookId → cell index, or null for books that found no free cell and none to borrow
+ */
+export function assignCells(entries, grid) {
+    const cellCount = grid.columns * grid.rows;
+    const cellEnds = new Array(cellCount).fill(-Infinity); // End of the last book placed in each cell
+    const cellOwners = new Array(cellCount).fill(null);    // Entry whose dates run latest in each cell
+    const loanEnds = new Array(cellCount).fill(-Infinity); // exitEnd of the last book to borrow each cell
+    const placed = [];                                     // { entry, cell }
+    const cells = new Map();
+
+    for (const entry of entries) {
+        // Books placed earlier whose dates overlap this one's share the screen with it
+        const neighbours = placed.filter(other => other.entry.end >= entry.start);
+
+        let best = null;
+        let bestScore = -Infinity;
+        for (let cell = 0; cell < cellCount; cell++) {
+            if (cellEnds[cell] >= entry.entryStart) continue;
+
+            const score = scoreCell(entry, cell, neighbours, grid);
+            if (score > bestScore) {
+                best = cell;
+                bestScore = score;
+            }
+        }
+
+        // Every cell is taken: borrow the one whose book has been showing longest
+        if (best === null) {
+            for (let cell = 0; cell < cellCount; cell++) {
+                if (loanEnds[cell] >= entry.entryStart) continue;
+
+                const score = scoreCell(entry, cell, neighbours, grid);
+                const ownerStart = cellOwners[cell].start;
+                const bestStart = best === null ? Infinity : cellOwners[best].start;
+                if (ownerStart < bestStart || (ownerStart === bestStart && score > bestScore)) {
+                    best = cell;
+                    bestScore = score;
+                }
+            }
+            if (best !== null) loanEnds[best] = entry.exitEnd;
+        }
+
+        cells.set(entry.book.id, best);
+        if (best !== null) {
+            if (entry.end > cellEnds[best]) {
+                cellEnds[best] = entry.end;
+                cellOwners[best] = entry;
+            }
+            placed.push({ entry, cell: best });
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Score how well a book sits in a cell
+ * @param {Object} entry - { book, start, end }
+ * @param {number} cell - Cell index
+ * @param {Array} neighbours - { entry, cell } of books on screen at the same time
+ * @param {Object} grid - { columns, rows }
+ * @returns {number} Higher is better
+ */
+function scoreCell(entry, cell, neighbours, grid) {
+    const row = Math.floor(cell / grid.columns);
+    const column = cell % grid.columns;
+    let score = 0;
+
+    for (const neighbour of neighbours) {
+        const otherRow = Math.floor(neighbour.cell / grid.columns);
+        const otherColumn = neighbour.cell % grid.columns;
+        const sideBySide = otherRow === row && Math.abs(otherColumn - column) === 1;
+        const stacked = otherColumn === column && Math.abs(otherRow - row) === 1;
+        if (!sideBySide && !stacked) continue;
+
+        const weight = getRelationWeight(entry.book, neighbour.entry.book);
+        score += sideBySide ? weight : weight * VERTICAL_NEIGHBOUR_FACTOR;
+    }
+
+    const kind = BOOK_KINDS[kindByBook.get(entry.book.id)];
+    score -= Math.abs(row - Math.min(getSectionRow(entry.book), grid.rows - 1)) * ROW_WEIGHT;
+    if (kind) score -= Math.abs(column - Math.min(kind.column, grid.columns - 1)) * COLUMN_WEIGHT;
+
+    return score;
+}
+
+/**
+ * Get how strongly two books belong together
+ * @param {Object} a - Book object
+ * @param {Object} b - Book object
+ * @returns {number} One of RELATION_WEIGHTS, or 0
+ */
+function getRelationWeight(a, b) {
+    if (parallelPairs.has(`${a.id}|${b.id}`)) return RELATION_WEIGHTS.parallel;
+
+    const kindA = kindByBook.get(a.id);
+    const kindB = kindByBook.get(b.id);
+    if ((kindA === 'prophets' && kindB === 'history') || (kindA === 'history' && kindB === 'prophets')) {
+        return RELATION_WEIGHTS.prophetHistory;
+    }
+    if (kindA && kindA === kindB) return RELATION_WEIGHTS.sameKind;
+    if (getSectionRow(a) === getSectionRow(b)) return RELATION_WEIGHTS.sameSection;
+    return 0;
+}
+
+/**
+ * Get the row a book's part of the canon leans to
+ * @param {Object} book - Book object
+ * @returns {number} 0 = Old Testament, 1 = New Testament, 2 = deuterocanonical
+ */
+function getSectionRow(book) {
+    if (book.isDeuterocanonical) return 2;
+    return book.testament === 'NT' ? 1 : 0;
+}
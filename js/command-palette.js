@@ -0,0 +1,271 @@
+/**
+ * Command Palette - Search box for jumping to a book, era, milestone or typed year
+ *
+ * Opens with Ctrl+K (Cmd+K on Mac). Entries are fuzzy-matched against the query;
+ * a query that parses as a year (e.g. "586 BC") adds a "Go to" entry at the top.
+ */
+
+import { parseYear, formatYearParts } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+
+const MAX_RESULTS = 8;
+
+const TYPE_LABELS = {
+    year: 'Year',
+    book: 'Book',
+    era: 'Era',
+    milestone: 'Milestone'
+};
+
+export class CommandPalette {
+    /**
+     * @param {HTMLElement} element - Palette overlay element
+     * @param {Object} options - { getItems() → Array of { type, label, detail, keywords, year }, onSelect(item) }
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.getItems = options.getItems || (() => []);
+        this.onSelect = options.onSelect || null;
+
+        this.input = element?.querySelector('.command-palette__input');
+        this.list = element?.querySelector('.command-palette__results');
+
+        this.items = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Set up keyboard shortcut, input and result handlers
+     */
+    bindEvents() {
+        if (!this.element || !this.input || !this.list) return;
+
+        window.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.isOpen() ? this.close() : this.open();
+            }
+        });
+
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('.command-palette__result');
+            if (!option) return;
+            e.preventDefault(); // Keep focus in the input
+            this.choose(parseInt(option.dataset.index, 10));
+        });
+
+        // Clicking the backdrop closes the palette
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.target === this.element) this.close();
+        });
+    }
+
+    /**
+     * Open the palette with an empty query
+     */
+    open() {
+        if (!this.element || this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.items = this.getItems();
+
+        this.element.hidden = false;
+        this.input.value = '';
+        this.search('');
+        this.input.focus({ preventScroll: true });
+    }
+
+    /**
+     * Close the palette
+     */
+    close() {
+        if (!this.element || !this.isOpen()) return;
+
+        this.element.hidden = true;
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check whether the palette is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return Boolean(this.element) && !this.element.hidden;
+    }
+
+    /**
+     * Handle navigation keys in the search input
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.choose(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation(); // Don't also close panels underneath
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Update the results for a query
+     * @param {string} query - Search text
+     */
+    search(query) {
+        const trimmed = query.trim();
+        const results = [];
+
+        const year = parseYear(trimmed);
+        if (year !== null) {
+            const parts = formatYearParts(year);
+            results.push({
+                type: 'year',
+                label: `Go to ${parts.number} ${parts.suffix}`.trim(),
+                detail: '',
+                year
+            });
+        }
+
+        if (trimmed) {
+            const scored = [];
+            for (const item of this.items) {
+                const score = scoreItem(trimmed, item);
+                if (score !== null) scored.push({ item, score });
+            }
+            scored.sort((a, b) => b.score - a.score || a.item.year - b.item.year);
+            results.push(...scored.map(s => s.item));
+        } else {
+            results.push(...this.items);
+        }
+
+        this.results = results.slice(0, MAX_RESULTS);
+        this.activeIndex = 0;
+        this.renderResults();
+    }
+
+    /**
+     * Render the current results into the listbox
+     */
+    renderResults() {
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<li class="command-palette__empty">No matches</li>';
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.list.innerHTML = this.results.map((item, index) => `
+            <li class="command-palette__result" id="command-palette-result-${index}"
+                role="option" data-index="${index}" aria-selected="${index === this.activeIndex}">
+                <span class="command-palette__type">${TYPE_LABELS[item.type] || ''}</span>
+                <span class="command-palette__label">${escapeHtml(item.label)}</span>
+                <span class="command-palette__detail">${escapeHtml(item.detail)}</span>
+            </li>
+        `).join('');
+
+        this.input.setAttribute('aria-activedescendant', `command-palette-result-${this.activeIndex}`);
+    }
+
+    /**
+     * Move the highlighted result (wraps around)
+     * @param {number} index - New index
+     */
+    setActive(index) {
+        if (this.results.length === 0) return;
+
+        const count = this.results.length;
+        this.activeIndex = (index + count) % count;
+
+        this.list.querySelectorAll('.command-palette__result').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === this.activeIndex));
+        });
+        this.input.setAttribute('aria-activedescendant', `command-palette-result-${this.activeIndex}`);
+        this.list.children[this.activeIndex]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Pick a result and close
+     * @param {number} index - Result index
+     */
+    choose(index) {
+        const item = this.results[index];
+        if (!item) return;
+
+        this.close();
+        if (this.onSelect) this.onSelect(item);
+    }
+}
+
+/**
+ * Score how well a query matches an item (higher is better)
+ * Tries the label and each keyword, keeping the best score
+ * @param {string} query - Search text
+ * @param {Object} item - Palette item
+ * @returns {number|null} Score, or null if nothing matches
+ */
+function scoreItem(query, item) {
+    let best = null;
+    for (const text of [item.label, ...(item.keywords || [])]) {
+        const score = fuzzyScore(query, text);
+        if (score !== null && (best === null || score > best)) {
+            best = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Fuzzy subsequence match with bonuses for prefixes, word starts and runs
+ * @param {string} query - Search text
+ * @param {string} text - Candidate text
+ * @returns {number|null} Score, or null if query isn't a subsequence of text
+ */
+function fuzzyScore(query, text) {
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+
+    if (t === q) return 1000;
+    if (t.startsWith(q)) return 500 - t.length;
+
+    let score = 0;
+    let ti = 0;
+    let previousMatch = -2;
+
+    for (const ch of q) {
+        if (ch === ' ') continue;
+
+        const found = t.indexOf(ch, ti);
+        if (found === -1) return null;
+
+        score += 1;
+        if (found === previousMatch + 1) score += 5;                 // Consecutive characters
+        if (found === 0 || /[\s\-(]/.test(t[found - 1])) score += 8; // Start of a word
+
+        previousMatch = found;
+        ti = found + 1;
+    }
+
+    // Prefer shorter candidates when scores tie
+    return score - t.length * 0.1;
+}
@@ -0,0 +1,426 @@
+/**
+ * Content Schema - Validates and merges the timeline content data files (eras, milestones, etc.)
+ *
+ * Each kind of content is a list of entries keyed by id, loaded from one or more files.
+ * The first file holds the defaults; each later file extends them:
+ *   - an entry with a new id is added (and must have every required field)
+ *   - an entry with an existing id overrides just the fields it sets
+ *   - an entry with "remove": true drops the existing entry
+ *
+ * Problems are collected across all files and reported together, each prefixed with
+ * the file and entry they were found in.
+ */
+
+import { isSafeUrl } from './rich-text.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const BOOK_ID_PATTERN = /^[0-9A-Z]{3}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Field specs per content kind
+ * type: 'slug' | 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'slugs' (array of slugs)
+ *       | 'bookIds' (array of book ids, e.g. "JER"; checked against books.json when
+ *         mergeContent is given context.bookIds) | 'color' ("#rrggbb")
+ *       | 'objects' (array of objects, each checked against the spec's own `fields`)
+ * oneOf: allowed values for a 'string' field
+ * check(entry, context) returns an error message for rules spanning several fields
+ */
+export const CONTENT_SCHEMAS = {
+    eras: {
+        fields: {
+            id: { type: 'slug', required: true },
+            name: { type: 'string', required: true },
+            start: { type: 'integer', required: true, nullable: true },
+            end: { type: 'integer', required: true, nullable: true }
+        },
+        check(era) {
+            if (era.start === null && era.end !== null) {
+                return '"end" must be null when "start" is null (undated era)';
+            }
+            if (era.start !== null && era.end !== null && era.start >= era.end) {
+                return '"start" must be before "end"';
+            }
+            return null;
+        },
+        checkAll(eras) {
+            const undated = eras.filter(era => era.start === null);
+            if (undated.length > 1) {
+                return `only one era may be undated, found ${undated.map(era => `"${era.id}"`).join(', ')}`;
+            }
+            return null;
+        }
+    },
+    milestones: {
+        fields: {
+            id: { type: 'slug', required: true },
+            year: { type: 'integer', required: true },
+            name: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            displayStart: { type: 'integer', required: true },
+            displayEnd: { type: 'integer', required: true },
+            isLargeMilestone: { type: 'boolean' },
+            traditions: { type: 'slugs' }
+        },
+        check(milestone, context) {
+            if (milestone.displayStart >= milestone.displayEnd) {
+                return '"displayStart" must be before "displayEnd"';
+            }
+            if (milestone.year < milestone.displayStart || milestone.year > milestone.displayEnd) {
+                return '"year" must fall between "displayStart" and "displayEnd"';
+            }
+            const unknown = (milestone.traditions || []).filter(id => !context.traditions.includes(id));
+            if (unknown.length > 0) {
+                return `unknown tradition ${unknown.map(id => `"${id}"`).join(', ')} ` +
+                    `(expected one of ${context.traditions.join(', ')})`;
+            }
+            return null;
+        }
+    },
+    messages: {
+        fields: {
+            id: { type: 'slug', required: true },
+            yearStart: { type: 'integer', required: true },
+            yearEnd: { type: 'integer', required: true },
+            title: { type: 'string', required: true },
+            content: { type: 'string', required: true },
+            fadeIn: { type: 'integer' },
+            fadeOut: { type: 'integer' },
+            image: { type: 'object' }
+        },
+        check(message) {
+            if (message.yearStart >= message.yearEnd) {
+                return '"yearStart" must be before "yearEnd"';
+            }
+            if (message.fadeIn < 0 || message.fadeOut < 0) {
+                return '"fadeIn" and "fadeOut" can\'t be negative';
+            }
+            if ((message.fadeIn ?? 0) + (message.fadeOut ?? 0) > message.yearEnd - message.yearStart) {
+                return '"fadeIn" + "fadeOut" must fit within "yearStart"–"yearEnd"';
+            }
+            if (message.image) {
+                const { src, alt, credit, ...rest } = message.image;
+                const extra = Object.keys(rest);
+                if (extra.length > 0) return `"image" has unknown field "${extra[0]}" (expected src, alt, credit)`;
+                if (typeof src !== 'string' || !isSafeUrl(src, { allowRelative: true })) {
+                    return '"image.src" must be a relative path or an http(s) URL';
+                }
+                if (typeof alt !== 'string') return '"image.alt" must describe the image (use "" if purely decorative)';
+                if (credit !== undefined && typeof credit !== 'string') return '"image.credit" must be a string';
+            }
+            return null;
+        }
+    },
+    people: {
+        fields: {
+            id: { type: 'slug', required: true },
+            name: { type: 'string', required: true },
+            role: { type: 'string' },
+            born: { type: 'integer', nullable: true },
+            died: { type: 'integer', nullable: true },
+            activeStart: { type: 'integer' },
+            activeEnd: { type: 'integer' },
+            books: { type: 'bookIds', required: true }
+        },
+        check(person) {
+            const hasLifespan = Number.isInteger(person.born) && Number.isInteger(person.died);
+            const hasActive = Number.isInteger(person.activeStart) && Number.isInteger(person.activeEnd);
+            if (!hasLifespan && !hasActive) {
+                return 'needs "born" and "died", or "activeStart" and "activeEnd"';
+            }
+            if (hasLifespan && person.born >= person.died) {
+                return '"born" must be before "died"';
+            }
+            if (hasActive && person.activeStart > person.activeEnd) {
+                return '"activeStart" must not be after "activeEnd"';
+            }
+            return null;
+        }
+    },
+    kings: {
+        fields: {
+            id: { type: 'slug', required: true },
+            name: { type: 'string', required: true },
+            kingdom: { type: 'string', required: true, oneOf: ['israel', 'judah'] },
+            reignStart: { type: 'integer', required: true },
+            reignEnd: { type: 'integer', required: true },
+            assessment: { type: 'string', required: true, oneOf: ['good', 'evil', 'mixed'] },
+            prophets: { type: 'bookIds' }
+        },
+        check(king) {
+            if (king.reignStart > king.reignEnd) {
+                return '"reignStart" must not be after "reignEnd"';
+            }
+            return null;
+        }
+    },
+    empires: {
+        fields: {
+            id: { type: 'slug', required: true },
+            name: { type: 'string', required: true },
+            start: { type: 'integer', required: true },
+            end: { type: 'integer', required: true },
+            color: { type: 'color', required: true },
+            rank: { type: 'integer' },
+            rulers: {
+                type: 'objects',
+                required: true,
+                fields: {
+                    name: { type: 'string', required: true },
+                    start: { type: 'integer', required: true },
+                    end: { type: 'integer', required: true }
+                }
+            }
+        },
+        check(empire) {
+            if (empire.start >= empire.end) {
+                return '"start" must be before "end"';
+            }
+            const index = empire.rulers.findIndex(ruler => ruler.start > ruler.end);
+            if (index !== -1) {
+                return `"rulers[${index}].start" must not be after its "end"`;
+            }
+            return null;
+        }
+    },
+    places: {
+        fields: {
+            id: { type: 'slug', required: true },
+            name: { type: 'string', required: true },
+            lon: { type: 'number', required: true },
+            lat: { type: 'number', required: true },
+            books: { type: 'bookIds', required: true }
+        },
+        check(place) {
+            if (Math.abs(place.lon) > 180 || Math.abs(place.lat) > 90) {
+                return '"lon" must be within ±180 and "lat" within ±90';
+            }
+            return null;
+        }
+    }
+};
+
+/**
+ * Validate a list of content files and merge them in order
+ * @param {string} kind - Key of CONTENT_SCHEMAS (also the array's key in each file)
+ * @param {Array} files - Array of { name, data } in load order
+ * @param {Object} context - Extra values for cross-checks, e.g. { traditions: ['catholic', …], bookIds: Set }
+ * @returns {Array} Merged entries, defaults first in file order
+ * @throws {Error} Listing every problem found
+ */
+export function mergeContent(kind, files, context = {}) {
+    const schema = CONTENT_SCHEMAS[kind];
+    const entries = new Map();
+    const errors = [];
+
+    for (const { name, data } of files) {
+        const list = data && data[kind];
+        if (!Array.isArray(list)) {
+            errors.push(`${name}: expected a "${kind}" array at the top level`);
+            continue;
+        }
+
+        const seen = new Set();
+        list.forEach((entry, index) => {
+            const label = describeEntry(name, kind, index, entry);
+
+            if (!isPlainObject(entry)) {
+                errors.push(`${label}: expected an object`);
+                return;
+            }
+
+            const idError = checkField(entry.id, schema.fields.id);
+            if (idError) {
+                errors.push(`${label}: "id" ${idError}`);
+                return;
+            }
+            if (seen.has(entry.id)) {
+                errors.push(`${label}: duplicate id "${entry.id}" in the same file`);
+                return;
+            }
+            seen.add(entry.id);
+
+            if (entry.remove === true) {
+                if (!entries.has(entry.id)) {
+                    errors.push(`${label}: cannot remove "${entry.id}", no earlier file defines it`);
+                }
+                entries.delete(entry.id);
+                return;
+            }
+
+            const fieldErrors = [];
+            for (const [field, value] of Object.entries(entry)) {
+                if (field === 'remove') continue;
+                const spec = schema.fields[field];
+                if (!spec) {
+                    fieldErrors.push(`unknown field "${field}" (expected ${Object.keys(schema.fields).join(', ')})`);
+                    continue;
+                }
+                const error = checkField(value, spec) || checkBookIds(value, spec, context);
+                if (error) fieldErrors.push(`"${field}" ${error}`);
+            }
+
+            const { remove, ...fields } = entry;
+            const merged = { ...entries.get(entry.id), ...fields };
+            for (const [field, spec] of Object.entries(schema.fields)) {
+                if (spec.required && !(field in merged)) {
+                    fieldErrors.push(`missing required field "${field}"`);
+                }
+            }
+
+            if (fieldErrors.length === 0 && schema.check) {
+                const error = schema.check(merged, context);
+                if (error) fieldErrors.push(error);
+            }
+
+            if (fieldErrors.length > 0) {
+                fieldErrors.forEach(error => errors.push(`${label}: ${error}`));
+                return;
+            }
+
+            entries.set(entry.id, merged);
+        });
+    }
+
+    const result = [...entries.values()];
+
+    if (errors.length === 0 && schema.checkAll) {
+        const error = schema.checkAll(result);
+        if (error) errors.push(`${files.map(f => f.name).join(' + ')}: ${error}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${kind} data:\n${errors.join('\n')}`);
+    }
+
+    return result;
+}
+
+/**
+ * Check a single value against a field spec
+ * @param {*} value - Field value
+ * @param {Object} spec - Field spec from CONTENT_SCHEMAS
+ * @returns {string|null} Error message (without the field name), or null if valid
+ */
+function checkField(value, spec) {
+    if (value === null || value === undefined) {
+        if (value === null && spec.nullable) return null;
+        return spec.required ? 'is required' : `must be ${describeType(spec.type)}`;
+    }
+
+    switch (spec.type) {
+        case 'slug':
+            if (typeof value === 'string' && SLUG_PATTERN.test(value)) return null;
+            return `must be a lowercase id like "divided-kingdom" (got ${JSON.stringify(value)})`;
+        case 'string':
+            if (spec.oneOf && !spec.oneOf.includes(value)) {
+                return `must be one of ${spec.oneOf.map(v => `"${v}"`).join(', ')} (got ${JSON.stringify(value)})`;
+            }
+            if (typeof value === 'string' && value.trim() !== '') return null;
+            break;
+        case 'integer':
+            if (Number.isInteger(value)) return null;
+            break;
+        case 'number':
+            if (Number.isFinite(value)) return null;
+            break;
+        case 'boolean':
+            if (typeof value === 'boolean') return null;
+            break;
+        case 'object':
+            if (isPlainObject(value)) return null;
+            break;
+        case 'slugs':
+            if (Array.isArray(value) && value.every(item => typeof item === 'string' && SLUG_PATTERN.test(item))) {
+                return null;
+            }
+            break;
+        case 'color':
+            if (typeof value === 'string' && COLOR_PATTERN.test(value)) return null;
+            break;
+        case 'objects':
+            if (Array.isArray(value)) return checkObjects(value, spec.fields);
+            break;
+        case 'bookIds':
+            if (Array.isArray(value) && value.every(item => typeof item === 'string' && BOOK_ID_PATTERN.test(item))) {
+                return null;
+            }
+            break;
+    }
+
+    const nullable = spec.nullable ? ' or null' : '';
+    return `must be ${describeType(spec.type)}${nullable} (got ${JSON.stringify(value)})`;
+}
+
+/**
+ * Check that a 'bookIds' field only names known books
+ * @param {*} value - Field value (already checked by checkField)
+ * @param {Object} spec - Field spec from CONTENT_SCHEMAS
+ * @param {Object} context - Cross-check values; skipped without context.bookIds
+ * @returns {string|null} Error message (without the field name), or null if valid
+ */
+function checkBookIds(value, spec, context) {
+    if (spec.type !== 'bookIds' || !context.bookIds) return null;
+
+    const unknown = value.filter(id => !context.bookIds.has(id));
+    if (unknown.length === 0) return null;
+    return `names ${unknown.length === 1 ? 'a book' : 'books'} not in books.json: ${unknown.map(id => `"${id}"`).join(', ')}`;
+}
+
+/**
+ * Check each object in a list against nested field specs
+ * @param {Array} items - Values to check
+ * @param {Object} fields - Field specs for each item
+ * @returns {string|null} Error message for the first problem, or null if valid
+ */
+function checkObjects(items, fields) {
+    for (const [index, item] of items.entries()) {
+        if (!isPlainObject(item)) return `[${index}] must be an object`;
+
+        const unknown = Object.keys(item).find(field => !fields[field]);
+        if (unknown) return `[${index}] has unknown field "${unknown}"`;
+
+        for (const [field, spec] of Object.entries(fields)) {
+            if (item[field] === undefined && !spec.required) continue;
+            const error = checkField(item[field], spec);
+            if (error) return `[${index}].${field} ${error}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe a field type for error messages
+ * @param {string} type - Field type
+ * @returns {string} Description
+ */
+function describeType(type) {
+    switch (type) {
+        case 'slug': return 'a lowercase id';
+        case 'string': return 'a non-empty string';
+        case 'integer': return 'a whole number (negative = BC)';
+        case 'number': return 'a number';
+        case 'boolean': return 'true or false';
+        case 'object': return 'an object';
+        case 'slugs': return 'a list of lowercase ids';
+        case 'bookIds': return 'a list of book ids like "JER"';
+        case 'color': return 'a color like "#a23b3b"';
+        case 'objects': return 'a list of objects';
+        default: return type;
+    }
+}
+
+/**
+ * Label an entry for error messages, e.g. 'milestones.json › milestones[3] "trent-1546"'
+ */
+function describeEntry(fileName, kind, index, entry) {
+    const id = isPlainObject(entry) && typeof entry.id === 'string' ? ` "${entry.id}"` : '';
+    return `${fileName} › ${kind}[${index}]${id}`;
+}
+
+/**
+ * Check for a plain JSON object (not an array or null)
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
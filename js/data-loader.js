@@ -2,92 +2,147 @@
  * Data Loader - Loads book data and handles timeline positioning
  */
 
+import { CONTENT_SCHEMAS, mergeContent } from './content-schema.js';
+import { IntervalIndex, bisectRight } from './lookup.js';
+
 const DATA_PATH = './data';
 
-/**
- * Era definitions for biblical history
- */
 // Current year for "You are here" feature (dynamic)
 export const CURRENT_YEAR = new Date().getFullYear();
 
-export const ERAS = {
-    PRIMEVAL: { id: 'primeval', name: 'Primeval History', start: -4000, end: -2100 },
-    PATRIARCHS: { id: 'patriarchs', name: 'Patriarchal Era', start: -2100, end: -1450 },
-    EXODUS: { id: 'exodus', name: 'Exodus & Conquest', start: -1450, end: -1380 },
-    JUDGES: { id: 'judges', name: 'Age of Judges', start: -1380, end: -1050 },
-    UNITED_KINGDOM: { id: 'united-kingdom', name: 'United Kingdom', start: -1050, end: -930 },
-    DIVIDED_KINGDOM: { id: 'divided-kingdom', name: 'Divided Kingdom', start: -930, end: -586 },
-    EXILE: { id: 'exile', name: 'Babylonian Exile', start: -586, end: -538 },
-    POST_EXILE: { id: 'post-exile', name: 'Post-Exile', start: -538, end: -400 },
-    INTERTESTAMENTAL: { id: 'intertestamental', name: 'Intertestamental', start: -400, end: -5 },
-    GOSPELS: { id: 'gospels', name: 'Life of Christ', start: -5, end: 33 },
-    APOSTOLIC: { id: 'apostolic', name: 'Apostolic Age', start: 33, end: 100 },
-    CHURCH_AGE: { id: 'church-age', name: 'Age of the Church', start: 100, end: CURRENT_YEAR + 1 },
-    WISDOM: { id: 'wisdom', name: 'Wisdom Literature', start: null, end: null }
-};
+/**
+ * Timeline content loaded from data/content.json (see configureTimelineContent)
+ */
+let eras = [];           // Dated eras in order, then the undated era (if any)
+let datedEras = [];
+let undatedEra = null;   // Home of books without dates (e.g. wisdom literature)
+let milestones = [];     // Every tradition's milestones in chronological order
+let messages = [];
+let people = [];
+let kings = [];
+let empires = [];
+let places = [];
 
 /**
- * Milestones for Bible canonization history
- * Each milestone has a display range (for scroll speed calculation)
- * The Living Tradition is treated as the first "milestone" spanning the early Church period
+ * Canon traditions
+ * Each tradition selects a book set and the milestones that tell its canonization story.
+ * Books with a `canons` list in books.json belong only to those traditions; other books
+ * belong to every tradition, except deuterocanonical books where includesDeuterocanonical is false.
+ * Milestones with a `traditions` list in milestones.json belong only to those traditions.
  */
-export const MILESTONES = [
-    {
-        id: 'living-tradition',
-        year: 100,  // Starts at beginning of Church Age
-        name: 'The Living Tradition',
-        description: 'Before these books were formally collected into the "Bible", their importance was preserved through Apostolic Tradition, the living teaching handed down from the Apostles.',
-        displayStart: 96,
-        displayEnd: 382,  // Ends when Council of Rome begins
-        isLargeMilestone: true  // Flag for special styling
+export const CANON_TRADITIONS = {
+    CATHOLIC: {
+        id: 'catholic',
+        name: 'Catholic',
+        includesDeuterocanonical: true
     },
-    {
-        id: 'rome-382',
-        year: 382,
-        name: 'Council of Rome',
-        description: 'Pope Damasus I promulgates the 73-book canon',
-        displayStart: 370,
-        displayEnd: 393
+    PROTESTANT: {
+        id: 'protestant',
+        name: 'Protestant',
+        includesDeuterocanonical: false
     },
-    {
-        id: 'hippo-393',
-        year: 393,
-        name: 'Synod of Hippo',
-        description: 'Augustine reaffirms the canon',
-        displayStart: 388,
-        displayEnd: 397
+    ORTHODOX: {
+        id: 'orthodox',
+        name: 'Orthodox',
+        includesDeuterocanonical: true
     },
-    {
-        id: 'carthage-397',
-        year: 397,
-        name: 'Council of Carthage',
-        description: 'Formally accepts the Biblical canon',
-        displayStart: 393,
-        displayEnd: 405
-    },
-    {
-        id: 'innocent-405',
-        year: 405,
-        name: 'Pope Innocent I',
-        description: 'Sends authoritative canon list to Gaul',
-        displayStart: 400,
-        displayEnd: 500
-    },
-    {
-        id: 'trent-1546',
-        year: 1546,
-        name: 'Council of Trent',
-        description: 'Dogmatically defines the canon',
-        displayStart: 1500,
-        displayEnd: 1650
+    ETHIOPIAN: {
+        id: 'ethiopian',
+        name: 'Ethiopian',
+        includesDeuterocanonical: true
+    }
+};
+
+let canonTradition = CANON_TRADITIONS.CATHOLIC;
+
+/**
+ * Set the canon tradition used for the book set and milestones
+ * @param {string} id - Tradition id (e.g. 'protestant')
+ */
+export function setCanonTradition(id) {
+    const tradition = Object.values(CANON_TRADITIONS).find(t => t.id === id);
+    if (!tradition) {
+        throw new Error(`Unknown canon tradition: ${id}`);
     }
-];
+    canonTradition = tradition;
+}
+
+/**
+ * Get the current canon tradition
+ * @returns {Object} Entry from CANON_TRADITIONS
+ */
+export function getCanonTradition() {
+    return canonTradition;
+}
+
+/**
+ * Get the milestones for the current canon tradition
+ * @returns {Array} Milestone objects in chronological order
+ */
+export function getMilestones() {
+    return milestones.filter(m => !m.traditions || m.traditions.includes(canonTradition.id));
+}
+
+/**
+ * Filter books down to those in a canon tradition
+ * @param {Array} books - All book objects
+ * @param {Object} tradition - Entry from CANON_TRADITIONS (defaults to the current one)
+ * @returns {Array} Books in the tradition's canon
+ */
+export function filterBooksForCanon(books, tradition = canonTradition) {
+    return books.filter(book => {
+        if (book.canons) return book.canons.includes(tradition.id);
+        return tradition.includesDeuterocanonical || !book.isDeuterocanonical;
+    });
+}
+
+/**
+ * Get the eras
+ * @returns {Array} Dated eras in chronological order, followed by the undated era
+ */
+export function getEras() {
+    return eras;
+}
+
+/**
+ * Get the messages that appear during specific time periods
+ * @returns {Array} Message objects with id, yearStart, yearEnd, title, content
+ */
+export function getMessages() {
+    return messages;
+}
+
+/**
+ * Get the key people shown in the people lane
+ * @returns {Array} Person objects with name, born/died or activeStart/activeEnd, and books
+ */
+export function getPeople() {
+    return people;
+}
+
+/**
+ * Get the kings of Israel and Judah
+ * @returns {Array} King objects with kingdom, reignStart, reignEnd, assessment and prophets
+ */
+export function getKings() {
+    return kings;
+}
+
+/**
+ * Get the secular empires for the world-history lane
+ * @returns {Array} Empire objects with start, end, color, rank and rulers
+ */
+export function getEmpires() {
+    return empires;
+}
 
 /**
- * Messages that appear during specific time periods
- * (Currently empty - Living Tradition moved to milestones)
+ * Get the places shown on the map panel
+ * @returns {Array} Place objects with lon, lat and the books tied to them
  */
-export const MESSAGES = [];
+export function getPlaces() {
+    return places;
+}
 
 /**
  * Load book metadata with dates
@@ -101,40 +156,280 @@ export async function loadBooks() {
 }
 
 /**
- * Get display date for a book (events date or writing date fallback)
+ * Load painting credits for book backgrounds
+ * @returns {Object} Map of bookId → { image, title, artist, year, location }
  */
-export function getDisplayDate(book) {
-    if (book.dateEventsStart !== null) {
-        return {
-            start: book.dateEventsStart,
-            end: book.dateEventsEnd,
-            isWritingDate: false
+export async function loadArtwork() {
+    const response = await fetch(`${DATA_PATH}/artwork_metadata.json`);
+    if (!response.ok) {
+        throw new Error(`Failed to load artwork_metadata.json: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.artwork;
+}
+
+/**
+ * Load the timeline content: eras, milestones, messages, people, kings, empires and places
+ * data/content.json lists the files for each kind of content. Later files extend or
+ * override earlier ones, so additions can live in their own file (see content-schema.js).
+ * Book ids in the content are checked against the books, which can still be loading.
+ * @param {Array|Promise} books - Book objects from books.json (or a promise of them)
+ * @returns {Object} Merged content keyed by kind (see CONTENT_SCHEMAS)
+ * @throws {Error} If a file is missing or fails validation
+ */
+export async function loadTimelineContent(books) {
+    const manifest = await fetchJson('content.json');
+
+    const kinds = Object.keys(CONTENT_SCHEMAS);
+    const filesByKind = await Promise.all(kinds.map(async kind => {
+        const names = manifest[kind];
+        if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) {
+            throw new Error(`content.json: "${kind}" must be a non-empty list of file names`);
+        }
+        return Promise.all(names.map(async name => ({ name, data: await fetchJson(name) })));
+    }));
+
+    const context = {
+        traditions: Object.values(CANON_TRADITIONS).map(t => t.id),
+        bookIds: new Set((await books).map(book => book.id))
+    };
+
+    return Object.fromEntries(kinds.map((kind, i) => [kind, mergeContent(kind, filesByKind[i], context)]));
+}
+
+/**
+ * Load the outline map (coasts, rivers and empire borders) for the map panel
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export async function loadMap() {
+    return fetchJson('near-east.geojson');
+}
+
+/**
+ * Fetch and parse a JSON file from the data directory
+ * @param {string} name - File name relative to DATA_PATH
+ * @returns {Object} Parsed JSON
+ */
+async function fetchJson(name) {
+    const response = await fetch(`${DATA_PATH}/${name}`);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${name}: ${response.status}`);
+    }
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new Error(`${name} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Use loaded timeline content (from loadTimelineContent)
+ * Eras without an end run to the present day.
+ * @param {Object} content - Merged content keyed by kind (see CONTENT_SCHEMAS)
+ */
+export function configureTimelineContent(content) {
+    datedEras = content.eras
+        .filter(era => era.start !== null)
+        .map(era => ({ ...era, end: era.end ?? CURRENT_YEAR + 1 }))
+        .sort((a, b) => a.start - b.start);
+    undatedEra = content.eras.find(era => era.start === null) || null;
+    eras = undatedEra ? [...datedEras, undatedEra] : datedEras;
+
+    milestones = [...content.milestones].sort((a, b) => a.year - b.year);
+    messages = content.messages;
+    people = content.people;
+    kings = content.kings;
+    empires = content.empires;
+    places = content.places;
+}
+
+/**
+ * Dating modes: place books by the events they narrate, or by when they were written
+ */
+export const DATING_MODES = {
+    EVENTS: 'events',
+    WRITING: 'writing'
+};
+
+let datingMode = DATING_MODES.EVENTS;
+
+/**
+ * Set the global dating mode used by getDisplayDate
+ * @param {string} mode - One of DATING_MODES
+ */
+export function setDatingMode(mode) {
+    if (!Object.values(DATING_MODES).includes(mode)) {
+        throw new Error(`Unknown dating mode: ${mode}`);
+    }
+    datingMode = mode;
+}
+
+/**
+ * Get the current global dating mode
+ * @returns {string} One of DATING_MODES
+ */
+export function getDatingMode() {
+    return datingMode;
+}
+
+/**
+ * Dating schemes: named sets of dates for books whose chronology is disputed
+ * (e.g. early vs. late Exodus). Defined by `datingSchemes` in books.json; books list
+ * their alternative dates under `dateSets[schemeId]`. A book with no entry for the
+ * selected scheme keeps its base dates.
+ */
+const DATE_FIELDS = ['dateEventsStart', 'dateEventsEnd', 'dateWrittenStart', 'dateWrittenEnd'];
+
+let datingSchemes = [{ id: 'traditional', name: 'Traditional', default: true }];
+let datingScheme = datingSchemes[0];
+
+/**
+ * Register the dating schemes from books.json and select the default one
+ * @param {Array} schemes - Array of { id, name, description, default }
+ */
+export function configureDatingSchemes(schemes) {
+    if (!Array.isArray(schemes) || schemes.length === 0) return;
+
+    for (const scheme of schemes) {
+        if (typeof scheme.id !== 'string' || typeof scheme.name !== 'string') {
+            throw new Error('Each dating scheme needs a string id and name');
+        }
+    }
+
+    datingSchemes = schemes;
+    datingScheme = schemes.find(scheme => scheme.default) || schemes[0];
+}
+
+/**
+ * Get all registered dating schemes
+ * @returns {Array} Scheme objects
+ */
+export function getDatingSchemes() {
+    return datingSchemes;
+}
+
+/**
+ * Select the dating scheme used by getDisplayDate
+ * @param {string} id - Scheme id (e.g. 'critical')
+ */
+export function setDatingScheme(id) {
+    const scheme = datingSchemes.find(s => s.id === id);
+    if (!scheme) {
+        throw new Error(`Unknown dating scheme: ${id}`);
+    }
+    datingScheme = scheme;
+}
+
+/**
+ * Get the selected dating scheme
+ * @returns {Object} Scheme object
+ */
+export function getDatingScheme() {
+    return datingScheme;
+}
+
+/**
+ * Get a book's dates under the selected dating scheme
+ * @param {Object} book - Book object
+ * @returns {Object} { dateEventsStart, dateEventsEnd, dateWrittenStart, dateWrittenEnd, dateSet }
+ *   where dateSet is { scheme, label, source, fields } if the book has an entry for the scheme
+ */
+export function getBookDates(book) {
+    const set = book.dateSets ? book.dateSets[datingScheme.id] : null;
+    const dates = { dateSet: null };
+
+    for (const field of DATE_FIELDS) {
+        dates[field] = set && field in set ? set[field] : book[field];
+    }
+
+    if (set) {
+        dates.dateSet = {
+            scheme: datingScheme,
+            label: set.label || datingScheme.name,
+            source: set.source || null,
+            fields: DATE_FIELDS.filter(field => field in set)
         };
     }
-    return {
-        start: book.dateWrittenStart,
-        end: book.dateWrittenEnd,
-        isWritingDate: true
+
+    return dates;
+}
+
+/**
+ * Get display date for a book
+ * Events mode prefers the events date and falls back to the writing date;
+ * writing mode does the reverse. Dates follow the selected dating scheme.
+ *
+ * `dateSet` is set when the displayed range comes from a scheme's alternative dates
+ */
+export function getDisplayDate(book) {
+    const dates = getBookDates(book);
+    const overrides = (prefix) => dates.dateSet && dates.dateSet.fields.some(f => f.startsWith(prefix))
+        ? dates.dateSet
+        : null;
+
+    const events = {
+        start: dates.dateEventsStart,
+        end: dates.dateEventsEnd,
+        isWritingDate: false,
+        dateSet: overrides('dateEvents')
+    };
+    const writing = {
+        start: dates.dateWrittenStart,
+        end: dates.dateWrittenEnd,
+        isWritingDate: true,
+        dateSet: overrides('dateWritten')
     };
+
+    if (datingMode === DATING_MODES.WRITING) {
+        return writing.start !== null ? writing : events;
+    }
+    return events.start !== null ? events : writing;
+}
+
+/**
+ * Get the date that isn't being displayed, for showing alongside the primary one
+ * Returns null if the book has no such date
+ */
+export function getSecondaryDate(book) {
+    const primary = getDisplayDate(book);
+    const dates = getBookDates(book);
+
+    if (primary.isWritingDate) {
+        if (dates.dateEventsStart === null) return null;
+        return { start: dates.dateEventsStart, end: dates.dateEventsEnd, isWritingDate: false };
+    }
+    if (dates.dateWrittenStart === null) return null;
+    return { start: dates.dateWrittenStart, end: dates.dateWrittenEnd, isWritingDate: true };
 }
 
 /**
  * Get the era for a given year
  */
 export function getEraForYear(year) {
-    if (year === null) return ERAS.WISDOM;
+    if (year === null || datedEras.length === 0) return undatedEra;
 
-    for (const era of Object.values(ERAS)) {
-        if (era.start === null) continue;
+    for (const era of datedEras) {
         if (year >= era.start && year < era.end) {
             return era;
         }
     }
 
-    if (year < -2100) return ERAS.PRIMEVAL;
-    if (year >= 100) return ERAS.CHURCH_AGE;
-    if (year >= 33) return ERAS.APOSTOLIC;
-    return ERAS.WISDOM;
+    // Outside every era: use the first era before the timeline starts,
+    // otherwise the latest era that had begun by then
+    if (year < datedEras[0].start) return datedEras[0];
+    return datedEras.filter(era => era.start <= year).pop();
+}
+
+/**
+ * Get the era a book belongs to: the era of the middle of its shown date range,
+ * or the undated era for books without dates
+ * @param {Object} book - Book object
+ * @returns {Object|null} Era object
+ */
+export function getBookEra(book) {
+    const date = getDisplayDate(book);
+    if (date.start === null) return getEraForYear(null);
+    return getEraForYear(Math.round((date.start + date.end) / 2));
 }
 
 /**
@@ -153,6 +448,37 @@ export function formatYearParts(year) {
     return { number: year.toString(), suffix: 'AD' };
 }
 
+/**
+ * Parse a typed year such as "586 BC", "AD 70", "1000 BCE", "70 CE" or "-1446"
+ * Bare numbers are read as AD unless negative. A leading "c." is ignored.
+ * @param {string} text - User input
+ * @returns {number|null} Year (negative = BC), or null if the text isn't a year
+ */
+export function parseYear(text) {
+    if (typeof text !== 'string') return null;
+
+    const normalized = text
+        .trim()
+        .toUpperCase()
+        .replace(/\./g, '')
+        .replace(/^(C|CA|CIRCA)\s+/, '');
+
+    const match = normalized.match(/^(?:(AD|CE)\s*)?(-?\d{1,4})\s*(BC|BCE|AD|CE)?$/);
+    if (!match) return null;
+
+    const [, prefixEra, digits, suffixEra] = match;
+    if (prefixEra && suffixEra) return null;
+
+    const number = parseInt(digits, 10);
+    const era = prefixEra || suffixEra;
+
+    if (era === 'BC' || era === 'BCE') {
+        return number > 0 ? -number : null;
+    }
+    if (era && number < 0) return null;
+    return number;
+}
+
 /**
  * Format a date range for display
  */
@@ -207,7 +533,7 @@ export function groupBooksByTime(books) {
                 startDate: null,
                 endDate: null,
                 centerDate: null,
-                era: ERAS.WISDOM
+                era: undatedEra
             });
             return;
         }
@@ -385,10 +711,10 @@ export function interpolateYear(scrollPosition, waypoints) {
  * - Includes milestones as additional waypoints with scroll weight
  *
  * @param {Array} books - Array of book objects with date properties
- * @param {Array} milestones - Optional array of milestone objects (defaults to MILESTONES)
+ * @param {Array} milestones - Optional array of milestone objects (defaults to the current tradition's)
  * @returns {Object} { scrollToYear, yearToScroll, minYear, maxYear, events }
  */
-export function buildYearMapping(books, milestones = MILESTONES) {
+export function buildYearMapping(books, milestones = getMilestones()) {
     // Collect all date events (book starts and ends)
     const events = [];
     const bookRanges = []; // For calculating density
@@ -433,11 +759,14 @@ export function buildYearMapping(books, milestones = MILESTONES) {
     // Include current year as a waypoint for "You are here"
     const uniqueYears = [...new Set(events.map(e => e.year)), CURRENT_YEAR].sort((a, b) => a - b);
 
+    const bookIndex = new IntervalIndex(bookRanges, r => r.start, r => r.end);
+    const milestoneIndex = new IntervalIndex(milestoneRanges, r => r.start, r => r.end);
+
     /**
      * Get active books at a given year with their durations
      */
     function getActiveBooksInfo(year) {
-        const active = bookRanges.filter(r => year >= r.start && year <= r.end);
+        const active = bookIndex.query(year);
         return {
             count: active.length,
             books: active,
@@ -452,7 +781,7 @@ export function buildYearMapping(books, milestones = MILESTONES) {
      * Get active milestones at a given year
      */
     function getActiveMilestonesInfo(year) {
-        const active = milestoneRanges.filter(r => year >= r.start && year <= r.end);
+        const active = milestoneIndex.query(year);
         return {
             count: active.length,
             milestones: active
@@ -523,6 +852,7 @@ export function buildYearMapping(books, milestones = MILESTONES) {
     }
 
     // Build sorted array for interpolation
+    // Positions grow with the year, so this is in both scroll and year order
     const sortedYears = [...normalizedPositions.entries()]
         .sort((a, b) => a[1] - b[1]); // Sort by scroll position
 
@@ -542,18 +872,13 @@ export function buildYearMapping(books, milestones = MILESTONES) {
         }
 
         // Find surrounding years and interpolate
-        for (let i = 0; i < sortedYears.length - 1; i++) {
-            const [year1, pos1] = sortedYears[i];
-            const [year2, pos2] = sortedYears[i + 1];
-
-            if (scrollPos >= pos1 && scrollPos <= pos2) {
-                // Linear interpolation between known years
-                const t = (scrollPos - pos1) / (pos2 - pos1);
-                return Math.round(year1 + t * (year2 - year1));
-            }
-        }
+        const i = bisectRight(sortedYears, scrollPos, entry => entry[1]) - 1;
+        const [year1, pos1] = sortedYears[i];
+        const [year2, pos2] = sortedYears[i + 1];
 
-        return sortedYears[sortedYears.length - 1][0];
+        // Linear interpolation between known years
+        const t = (scrollPos - pos1) / (pos2 - pos1);
+        return Math.round(year1 + t * (year2 - year1));
     }
 
     /**
@@ -565,30 +890,21 @@ export function buildYearMapping(books, milestones = MILESTONES) {
             return normalizedPositions.get(year);
         }
 
-        // Interpolate
-        const sortedByYear = [...normalizedPositions.entries()]
-            .sort((a, b) => a[0] - b[0]);
-
         // Handle edge cases
-        if (year <= sortedByYear[0][0]) {
-            return sortedByYear[0][1];
+        if (year <= sortedYears[0][0]) {
+            return sortedYears[0][1];
         }
-        if (year >= sortedByYear[sortedByYear.length - 1][0]) {
-            return sortedByYear[sortedByYear.length - 1][1];
+        if (year >= sortedYears[sortedYears.length - 1][0]) {
+            return sortedYears[sortedYears.length - 1][1];
         }
 
-        // Find surrounding years
-        for (let i = 0; i < sortedByYear.length - 1; i++) {
-            const [year1, pos1] = sortedByYear[i];
-            const [year2, pos2] = sortedByYear[i + 1];
-
-            if (year >= year1 && year <= year2) {
-                const t = (year - year1) / (year2 - year1);
-                return pos1 + t * (pos2 - pos1);
-            }
-        }
+        // Find surrounding years and interpolate
+        const i = bisectRight(sortedYears, year, entry => entry[0]) - 1;
+        const [year1, pos1] = sortedYears[i];
+        const [year2, pos2] = sortedYears[i + 1];
 
-        return sortedByYear[sortedByYear.length - 1][1];
+        const t = (year - year1) / (year2 - year1);
+        return pos1 + t * (pos2 - pos1);
     }
 
     return {
@@ -602,3 +918,27 @@ export function buildYearMapping(books, milestones = MILESTONES) {
         _sortedYears: sortedYears
     };
 }
+
+/**
+ * Get the years worth stopping at when stepping through the timeline
+ * Stops are book starts and ends, era boundaries and milestone years
+ *
+ * @param {Array} events - Sorted events from buildYearMapping
+ * @param {Array} milestones - Optional array of milestone objects (defaults to the current tradition's)
+ * @returns {Array} Sorted, de-duplicated array of years
+ */
+export function getTimelineStops(events, milestones = getMilestones()) {
+    const years = new Set();
+
+    events.forEach(event => {
+        if (event.type === 'start' || event.type === 'end') {
+            years.add(event.year);
+        }
+    });
+
+    datedEras.forEach(era => years.add(era.start));
+
+    milestones.forEach(milestone => years.add(milestone.year));
+
+    return [...years].sort((a, b) => a - b);
+}
@@ -0,0 +1,75 @@
+/**
+ * Deep Link - Parses and builds URL hashes that point at a place on the timeline
+ *
+ * Supported forms:
+ *   #year=-586         A specific year (negative = BC; "586BC" and "AD70" also work)
+ *   #book=JER          The start of a book's date range
+ *   #era=exile         The start of an era
+ *   #milestone=trent-1546  The year of a milestone
+ */
+
+import { getDisplayDate, getMilestones, getEras, parseYear } from './data-loader.js';
+
+const LINK_TYPES = ['year', 'book', 'era', 'milestone'];
+
+/**
+ * Parse a location hash into a link object
+ * @param {string} hash - Hash string, with or without the leading '#'
+ * @returns {Object|null} { type, value } or null if the hash is not a timeline link
+ */
+export function parseDeepLink(hash) {
+    if (!hash) return null;
+
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+    for (const type of LINK_TYPES) {
+        const value = params.get(type);
+        if (value) {
+            return { type, value: value.trim() };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a link object to the year it points at
+ * @param {Object} link - { type, value } from parseDeepLink
+ * @param {Array} books - Array of book objects
+ * @returns {number|null} Target year, or null if the link doesn't match anything
+ */
+export function resolveDeepLinkYear(link, books) {
+    if (!link) return null;
+
+    switch (link.type) {
+        case 'year':
+            return parseYear(link.value);
+        case 'book': {
+            const id = link.value.toUpperCase();
+            const book = books.find(b => b.id === id);
+            if (!book) return null;
+            return getDisplayDate(book).start;
+        }
+        case 'era': {
+            const id = link.value.toLowerCase();
+            const era = getEras().find(e => e.id === id);
+            return era ? era.start : null;
+        }
+        case 'milestone': {
+            const id = link.value.toLowerCase();
+            const milestone = getMilestones().find(m => m.id === id);
+            return milestone ? milestone.year : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build a hash string for a year
+ * @param {number} year - Year to link to
+ * @returns {string} Hash string including the leading '#'
+ */
+export function formatYearLink(year) {
+    return `#year=${year}`;
+}
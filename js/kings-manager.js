@@ -0,0 +1,299 @@
+/**
+ * Kings Manager - Parallel lanes of the kings of Israel and Judah
+ *
+ * Shown while the kingdom was divided. Each lane lists the reigning king (or kings,
+ * during co-regencies) with the kings either side. Prophet tags on a king link to
+ * the prophetic books dated to that reign; hovering a king highlights those books'
+ * cards, and hovering a prophet's card highlights the kings they served under.
+ */
+
+import { formatDateRange } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+import { IntervalIndex } from './lookup.js';
+
+const KINGDOMS = [
+    { id: 'israel', name: 'Israel', fallNote: 'Samaria falls to Assyria' },
+    { id: 'judah', name: 'Judah', fallNote: 'Jerusalem falls to Babylon' }
+];
+
+const ASSESSMENT_LABELS = {
+    good: 'Good',
+    evil: 'Evil',
+    mixed: 'Mixed'
+};
+
+export class KingsManager {
+    /**
+     * @param {Array} kings - Array of king objects from kings.json
+     * @param {HTMLElement} container - Element for the lanes
+     * @param {Object} options - { books, onHighlight(bookIds | null) } called when a king is hovered
+     */
+    constructor(kings, container, options = {}) {
+        this.kings = kings;
+        this.container = container;
+        this.onHighlight = options.onHighlight || null;
+        this.booksById = new Map((options.books || []).map(book => [book.id, book]));
+
+        // Lanes by kingdom id: { kingdom, rows: [{ king, element }], reignIndex, shown, fallElement, start, end }
+        this.lanes = new Map();
+        this.firstYear = null; // Years the lanes are shown between
+        this.lastYear = null;
+
+        this.currentYear = null;
+        this.isVisible = false;
+        this.highlightedKingId = null;
+
+        this.render();
+        this.bindEvents();
+    }
+
+    /**
+     * Build both lanes (rows are shown and hidden as the year changes)
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.lanes.clear();
+
+        for (const kingdom of KINGDOMS) {
+            const kings = this.kings
+                .filter(king => king.kingdom === kingdom.id)
+                .sort((a, b) => a.reignStart - b.reignStart || a.reignEnd - b.reignEnd);
+            if (kings.length === 0) continue;
+
+            const lane = document.createElement('section');
+            lane.className = 'kings-lane';
+            lane.dataset.kingdom = kingdom.id;
+            lane.setAttribute('aria-label', `Kings of ${kingdom.name}`);
+            lane.innerHTML = `<h3 class="kings-lane__title">${kingdom.name}</h3>`;
+
+            const list = document.createElement('ol');
+            list.className = 'kings-lane__list';
+            lane.appendChild(list);
+
+            const rows = kings.map(king => {
+                const element = this.createKingRow(king);
+                list.appendChild(element);
+                return { king, element };
+            });
+
+            const end = Math.max(...kings.map(king => king.reignEnd));
+            const fallElement = document.createElement('li');
+            fallElement.className = 'kings-lane__fall';
+            fallElement.textContent = `${kingdom.fallNote}, ${formatDateRange(end, end)}`;
+            fallElement.hidden = true;
+            list.appendChild(fallElement);
+
+            this.lanes.set(kingdom.id, {
+                kingdom,
+                rows,
+                // Row indexes by reign (inclusive; isReigning settles the last year)
+                reignIndex: new IntervalIndex(rows.map((row, index) => index),
+                    index => rows[index].king.reignStart, index => rows[index].king.reignEnd),
+                shown: null, // { from, to } rows shown last update (null = none set yet)
+                fallElement,
+                start: kings[0].reignStart,
+                end
+            });
+            this.container.appendChild(lane);
+        }
+
+        const lanes = [...this.lanes.values()];
+        this.firstYear = lanes.length > 0 ? Math.min(...lanes.map(lane => lane.start)) : null;
+        this.lastYear = lanes.length > 0 ? Math.max(...lanes.map(lane => lane.end)) : null;
+    }
+
+    /**
+     * Create a row for one king
+     * @param {Object} king - King object
+     * @returns {HTMLElement} Row element
+     */
+    createKingRow(king) {
+        const row = document.createElement('li');
+        row.className = `king king--${king.assessment}`;
+        row.dataset.kingId = king.id;
+        row.hidden = true;
+
+        const prophets = (king.prophets || [])
+            .filter(id => this.booksById.has(id))
+            .map(id => {
+                const book = this.booksById.get(id);
+                return `<a class="king__prophet" href="#book=${encodeURIComponent(id)}" data-book="${escapeHtml(id)}" title="${escapeHtml(book.name)}">${escapeHtml(id)}</a>`;
+            })
+            .join('');
+
+        row.innerHTML = `
+            <span class="king__name">${escapeHtml(king.name)}</span>
+            <span class="king__reign">${formatDateRange(king.reignStart, king.reignEnd)}</span>
+            <span class="king__assessment" title="Verdict of Kings and Chronicles">${ASSESSMENT_LABELS[king.assessment]}</span>
+            ${prophets ? `<span class="king__prophets">${prophets}</span>` : ''}
+        `;
+
+        return row;
+    }
+
+    /**
+     * Set up hover and focus handlers (delegated)
+     */
+    bindEvents() {
+        if (!this.container) return;
+
+        this.container.addEventListener('mouseover', (e) => {
+            const row = e.target.closest('.king');
+            this.highlightKing(row ? row.dataset.kingId : null);
+        });
+        this.container.addEventListener('mouseleave', () => this.highlightKing(null));
+        this.container.addEventListener('focusin', (e) => {
+            const row = e.target.closest('.king');
+            if (row) this.highlightKing(row.dataset.kingId);
+        });
+        this.container.addEventListener('focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.highlightKing(null);
+        });
+    }
+
+    /**
+     * Use a new book set (e.g. after the canon changes); prophet links outside it are dropped
+     * @param {Array} books - Book objects
+     */
+    setBooks(books) {
+        this.booksById = new Map(books.map(book => [book.id, book]));
+        this.highlightKing(null);
+        this.render();
+
+        const year = this.currentYear;
+        this.currentYear = null;
+        if (year !== null) this.updateForYear(year);
+    }
+
+    /**
+     * Update the lanes for a given year
+     * @param {number} year - Current year in timeline
+     */
+    updateForYear(year) {
+        if (year === this.currentYear) return;
+        this.currentYear = year;
+
+        const inRange = this.firstYear !== null && year >= this.firstYear && year <= this.lastYear;
+        this.setVisible(inRange);
+        if (!inRange) return;
+
+        for (const lane of this.lanes.values()) {
+            this.updateLane(lane, year);
+        }
+    }
+
+    /**
+     * Show the reigning king(s) in a lane with their neighbours
+     * @param {Object} lane - Lane entry
+     * @param {number} year - Current year
+     */
+    updateLane(lane, year) {
+        const { rows, fallElement } = lane;
+
+        const reigning = lane.reignIndex.query(year).filter(index => isReigning(rows[index].king, year));
+
+        // Before the first reign show the first king, after the last show the last
+        let first = reigning[0];
+        let last = reigning[reigning.length - 1];
+        if (reigning.length === 0) {
+            first = last = year < lane.start ? 0 : rows.length - 1;
+        }
+
+        // Only rows shown now or last time can change (the rest stay hidden)
+        const shown = { from: Math.max(0, first - 1), to: Math.min(rows.length - 1, last + 1) };
+        const previous = lane.shown || { from: 0, to: rows.length - 1 };
+        const updateRows = (from, to) => {
+            for (let index = from; index <= to; index++) {
+                const { element } = rows[index];
+                element.hidden = index < shown.from || index > shown.to;
+                element.classList.toggle('is-reigning', reigning.includes(index));
+                element.classList.toggle('is-past', !reigning.includes(index) && index < first);
+            }
+        };
+        updateRows(previous.from, previous.to);
+        updateRows(shown.from, shown.to);
+        lane.shown = shown;
+
+        fallElement.hidden = year < lane.end;
+    }
+
+    /**
+     * Show or hide the lanes
+     * @param {boolean} visible - Whether the lanes should show
+     */
+    setVisible(visible) {
+        if (visible === this.isVisible) return;
+        this.isVisible = visible;
+        this.container?.classList.toggle('visible', visible);
+        if (!visible) this.highlightKing(null);
+    }
+
+    /**
+     * Highlight a king and the prophets' books that served under them
+     * @param {string|null} kingId - King to highlight, or null to clear
+     */
+    highlightKing(kingId) {
+        if (kingId === this.highlightedKingId) return;
+        this.highlightedKingId = kingId;
+
+        const king = kingId ? this.kings.find(k => k.id === kingId) : null;
+        this.container?.querySelectorAll('.king').forEach(row => {
+            row.classList.toggle('is-highlighted', row.dataset.kingId === kingId);
+        });
+
+        if (this.onHighlight) {
+            const prophets = king ? (king.prophets || []).filter(id => this.booksById.has(id)) : [];
+            this.onHighlight(prophets.length > 0 ? prophets : null);
+        }
+    }
+
+    /**
+     * Highlight the kings a prophet served under (e.g. while the prophet's card is hovered)
+     * @param {string|null} bookId - Prophetic book id, or null to clear
+     */
+    highlightProphet(bookId) {
+        this.container?.querySelectorAll('.king').forEach(row => {
+            const king = this.kings.find(k => k.id === row.dataset.kingId);
+            const served = Boolean(bookId) && (king?.prophets || []).includes(bookId);
+            row.classList.toggle('is-related', served);
+        });
+        this.container?.querySelectorAll('.king__prophet').forEach(tag => {
+            tag.classList.toggle('is-related', tag.dataset.book === bookId);
+        });
+    }
+
+    /**
+     * Mark prophet tags whose book card is on screen
+     * @param {Array} bookIds - Ids of the visible books
+     */
+    setVisibleBooks(bookIds) {
+        if (!this.isVisible) return;
+
+        const visible = new Set(bookIds);
+        this.container?.querySelectorAll('.king__prophet').forEach(tag => {
+            tag.classList.toggle('is-visible', visible.has(tag.dataset.book));
+        });
+    }
+
+    /**
+     * Hide the lanes (intro/closing states)
+     */
+    clear() {
+        this.setVisible(false);
+        this.currentYear = null;
+    }
+}
+
+/**
+ * Check whether a king reigns in a year
+ * A reign's last year belongs to the successor, except for reigns that began and ended in the same year
+ * @param {Object} king - King object
+ * @param {number} year - Year
+ * @returns {boolean} True if reigning
+ */
+function isReigning(king, year) {
+    if (king.reignStart === king.reignEnd) return year === king.reignStart;
+    return year >= king.reignStart && year < king.reignEnd;
+}
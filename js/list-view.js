@@ -0,0 +1,183 @@
+/**
+ * List View - The books as a static list grouped by era and time period
+ *
+ * An alternative to the scrolling cards for readers who prefer no motion (it turns
+ * on by itself under prefers-reduced-motion) and a plain document for assistive tech.
+ * Groups come from book-cards.js; the year display, track and Bible bar follow
+ * the group at the reading line rather than the scroll mapping.
+ */
+
+import { generateBookGroups, getStepGroupData } from './book-cards.js';
+import { getEraForYear } from './data-loader.js';
+
+const STORAGE_KEY = 'bible-timeline:list-view';
+
+// Fraction of the viewport height where the group "in view" is read from
+const READING_LINE = 0.4;
+
+export class ListView {
+    /**
+     * @param {HTMLElement} element - List section
+     * @param {Array} books - Books in the selected canon
+     * @param {Object} options - { onSelect(book) } called when a book is clicked
+     */
+    constructor(element, books, options = {}) {
+        this.element = element;
+        this.books = books;
+        this.onSelect = options.onSelect || null;
+
+        this.enabled = false;
+        this.groups = [];       // Positioned groups from generateBookGroups
+        this.steps = [];        // Group elements, in the same order
+        this.activeStep = null;
+
+        this.element?.addEventListener('click', (e) => this.selectFromEvent(e));
+        this.element?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') this.selectFromEvent(e);
+        });
+    }
+
+    /**
+     * Get the reader's saved choice, if they picked a view by hand
+     * @returns {boolean|null} True for the list, false for the cards, null if never chosen
+     */
+    getSavedPreference() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved === null ? null : saved === 'on';
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the reader's choice of view
+     * @param {boolean} enabled - True for the list
+     */
+    savePreference(enabled) {
+        try {
+            localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.warn('Could not save the list view setting:', error.message);
+        }
+    }
+
+    /**
+     * Turn the list on or off
+     * @param {boolean} enabled - Whether to show the list
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        document.body.classList.toggle('list-view', enabled);
+        if (!this.element) return;
+
+        this.element.hidden = !enabled;
+        if (enabled) {
+            this.render();
+        } else {
+            this.element.innerHTML = '';
+            this.groups = [];
+            this.steps = [];
+            this.activeStep = null;
+        }
+    }
+
+    /**
+     * Check whether the list is showing
+     * @returns {boolean} True if on
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Use a new book set (e.g. after the canon or dating mode changes)
+     * @param {Array} books - Books in the selected canon
+     */
+    setBooks(books) {
+        this.books = books;
+        if (this.enabled) this.render();
+    }
+
+    /**
+     * Build the groups, with a heading wherever the era changes
+     * Headings go by each group's start (groups are in start order), so a long
+     * group such as Psalms can't split an era in two
+     */
+    render() {
+        this.element.innerHTML = '';
+        this.activeStep = null;
+        this.groups = generateBookGroups(this.books, this.element);
+        this.steps = [...this.element.querySelectorAll('.timeline-step')];
+
+        let eraId;
+        this.steps.forEach((step, index) => {
+            const group = this.groups[index];
+            const era = group.startDate !== null ? getEraForYear(group.startDate) : group.era;
+            const id = era ? era.id : null;
+            if (id === eraId) return;
+            eraId = id;
+
+            const heading = document.createElement('h2');
+            heading.className = 'timeline-list__era';
+            if (era) heading.dataset.era = era.id;
+            heading.textContent = era ? era.name : 'Undated';
+            this.element.insertBefore(heading, step);
+        });
+    }
+
+    /**
+     * Mark the group at the reading line as active
+     * @returns {Object|null} Its data from getStepGroupData plus its books, or null if none is there
+     */
+    update() {
+        const line = window.innerHeight * READING_LINE;
+
+        // The last group whose top has passed the reading line
+        let step = null;
+        for (const candidate of this.steps) {
+            if (candidate.getBoundingClientRect().top > line) break;
+            step = candidate;
+        }
+
+        if (step !== this.activeStep) {
+            this.activeStep?.classList.remove('is-active');
+            step?.classList.add('is-active');
+            this.activeStep = step;
+        }
+
+        if (!step) return null;
+        const data = getStepGroupData(step);
+        return { ...data, books: this.groups[data.groupIndex].books };
+    }
+
+    /**
+     * Get the page scroll offset that puts the last group starting by a year at the reading line
+     * @param {number} year - Target year
+     * @returns {number|null} Scroll offset, or null if the list has no dated groups
+     */
+    getScrollTopForYear(year) {
+        const dated = this.steps.filter((step, index) => this.groups[index].startDate !== null);
+        if (dated.length === 0) return null;
+
+        const started = dated.filter(candidate => this.groups[getStepGroupData(candidate).groupIndex].startDate <= year);
+        const step = started.length > 0 ? started[started.length - 1] : dated[0];
+        const top = step.getBoundingClientRect().top + window.scrollY;
+        return Math.max(0, Math.round(top - window.innerHeight * READING_LINE) + 1);
+    }
+
+    /**
+     * Open the details of a clicked (or Enter/Space-pressed) book
+     * @param {Event} e - Click or keydown event
+     */
+    selectFromEvent(e) {
+        const item = e.target.closest('[data-book-id]');
+        if (!item || !this.onSelect) return;
+
+        const book = this.books.find(b => b.id === item.dataset.bookId);
+        if (!book) return;
+
+        e.preventDefault();
+        this.onSelect(book);
+    }
+}
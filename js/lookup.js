@@ -0,0 +1,118 @@
+/**
+ * Lookup - Fast searches for the per-frame year queries
+ *
+ * Scroll frames ask "what is at this year?" many times over, so data is indexed
+ * once when it's loaded: sorted arrays are searched by halving (bisectRight), and
+ * date ranges go into an IntervalIndex that finds the ranges covering a year
+ * without looking at the others.
+ */
+
+/**
+ * Find where a value would go in a sorted array, after any equal values
+ * @param {Array} array - Array sorted ascending by key
+ * @param {number} value - Value to look for
+ * @param {Function} getKey - (item) → number to compare (defaults to the item itself)
+ * @returns {number} Index of the first item whose key is greater than value (array.length if none)
+ */
+export function bisectRight(array, value, getKey = (item) => item) {
+    let low = 0;
+    let high = array.length;
+
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (getKey(array[middle]) <= value) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Index of date ranges answering "which ranges cover this year?"
+ *
+ * A centered interval tree: each node keeps the ranges that cross its center year,
+ * sorted by start and by end, so a query walks one path down the tree and only reads
+ * ranges that match.
+ */
+export class IntervalIndex {
+    /**
+     * @param {Array} items - Items with a date range
+     * @param {Function} getStart - (item) → first year (inclusive)
+     * @param {Function} getEnd - (item) → last year (inclusive)
+     */
+    constructor(items, getStart, getEnd) {
+        // Keep each item's place in the list, so results come back in the same order
+        const ranges = items.map((item, order) => ({ item, order, start: getStart(item), end: getEnd(item) }));
+        this.size = ranges.length;
+        this.root = buildNode(ranges);
+    }
+
+    /**
+     * Find the items whose range covers a year
+     * @param {number} year - Year to look up
+     * @returns {Array} Matching items, in the order they were given
+     */
+    query(year) {
+        const found = [];
+        let node = this.root;
+
+        while (node) {
+            if (year < node.center) {
+                // Ranges here end at or after the center, so they match if they start by the year
+                for (const range of node.byStart) {
+                    if (range.start > year) break;
+                    found.push(range);
+                }
+                node = node.left;
+            } else if (year > node.center) {
+                // ...and start at or before it, so they match if they end at or after the year
+                for (const range of node.byEnd) {
+                    if (range.end < year) break;
+                    found.push(range);
+                }
+                node = node.right;
+            } else {
+                found.push(...node.byStart);
+                break;
+            }
+        }
+
+        return found.sort((a, b) => a.order - b.order).map(range => range.item);
+    }
+}
+
+/**
+ * Build a tree node from ranges, centered on the median start year
+ * @param {Array} ranges - { item, order, start, end }
+ * @returns {Object|null} { center, byStart, byEnd, left, right }
+ */
+function buildNode(ranges) {
+    if (ranges.length === 0) return null;
+
+    const starts = ranges.map(range => range.start).sort((a, b) => a - b);
+    const center = starts[starts.length >>> 1];
+
+    const left = [];
+    const right = [];
+    const crossing = [];
+    for (const range of ranges) {
+        if (range.end < center) {
+            left.push(range);
+        } else if (range.start > center) {
+            right.push(range);
+        } else {
+            crossing.push(range);
+        }
+    }
+
+    return {
+        center,
+        byStart: [...crossing].sort((a, b) => a.start - b.start),
+        byEnd: crossing.sort((a, b) => b.end - a.end),
+        left: buildNode(left),
+        right: buildNode(right)
+    };
+}
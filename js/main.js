@@ -7,19 +7,80 @@
  * - Year counts continuously as user scrolls
  */
 
-import { loadBooks, buildYearMapping, MESSAGES } from './data-loader.js';
-import { TimelineRenderer } from './timeline-renderer.js';
+import {
+    loadBooks,
+    loadArtwork,
+    loadTimelineContent,
+    configureTimelineContent,
+    buildYearMapping,
+    getTimelineStops,
+    setDatingMode,
+    getDatingMode,
+    configureDatingSchemes,
+    getDatingSchemes,
+    setDatingScheme,
+    getDatingScheme,
+    setCanonTradition,
+    getCanonTradition,
+    getMilestones,
+    getEras,
+    getMessages,
+    getPeople,
+    getKings,
+    getEmpires,
+    getPlaces,
+    getBookEra,
+    loadMap,
+    getDisplayDate,
+    filterBooksForCanon,
+    formatDateRange,
+    CANON_TRADITIONS,
+    CURRENT_YEAR
+} from './data-loader.js';
+import { TimelineRenderer, TRACK_SCALES } from './timeline-renderer.js';
 import { BookManager } from './book-manager.js';
 import { MessageManager } from './message-manager.js';
+import { PeopleManager } from './people-manager.js';
+import { KingsManager } from './kings-manager.js';
+import { WorldHistoryManager } from './world-history-manager.js';
+import { MapPanel } from './map-panel.js';
+import { BibleBar } from './bible-bar.js';
+import { CanonView } from './canon-view.js';
+import { ReadingPlanPanel } from './reading-plan-panel.js';
+import { ReadingProgress, READ_STATUS } from './reading-progress.js';
 import { MilestoneCardManager } from './milestone-card-manager.js';
+import { Announcer } from './announcer.js';
+import { ListView } from './list-view.js';
+import { BookDetailPanel } from './book-detail-panel.js';
+import { CommandPalette } from './command-palette.js';
+import { TrackScrubber } from './track-scrubber.js';
+import { parseDeepLink, resolveDeepLinkYear, formatYearLink } from './deep-link.js';
+import { escapeHtml } from './html-utils.js';
 
 // Global state
 let booksData = null;
+let books = []; // Books in the selected canon tradition
 let renderer = null;
 let bookManager = null;
 let messageManager = null;
+let peopleManager = null;
+let kingsManager = null;
+let worldHistoryManager = null;
+let mapPanel = null;
+let bibleBar = null;
+let canonView = null;
+let readingPlanPanel = null;
+let readingProgress = null;
+let eraProgressKey = null; // Era and progress last shown on the era label
 let milestoneCardManager = null;
+let announcer = null;
+let listView = null;
+let detailPanel = null;
+let commandPalette = null;
+let trackScrubber = null;
 let yearMapping = null;
+let timelineStops = [];
+let currentYear = null; // Year shown in the timeline section (null in intro/closing)
 
 // Scroll elements
 let scrollSpacer = null;
@@ -28,8 +89,15 @@ let introSection = null;
 let closingSection = null;
 let siteHeader = null;
 
+// Deep link state: scroll offset a link jumped to (URL is left alone while we stay there)
+let linkedScrollY = null;
+
+// Keyboard navigation state: scroll offset of an in-flight jump (so repeated presses keep advancing)
+let pendingStopTop = null;
+
 // Scroll configuration
 const SCROLL_HEIGHT = 30000; // Total scroll height in pixels (more = slower overall)
+const URL_UPDATE_DELAY = 250; // ms of scroll inactivity before the URL is rewritten
 
 /**
  * Initialize the visualization
@@ -38,9 +106,22 @@ async function init() {
     console.log('Initializing Bible Timeline...');
 
     try {
-        // Load book data
-        booksData = await loadBooks();
+        // Load book data and timeline content (artwork credits are optional extras)
+        let artwork, content;
+        const booksLoading = loadBooks();
+        [booksData, content, artwork] = await Promise.all([
+            booksLoading,
+            loadTimelineContent(booksLoading.then(data => data.books)),
+            loadArtwork().catch(error => {
+                console.warn('Artwork credits unavailable:', error.message);
+                return {};
+            })
+        ]);
         console.log(`Loaded ${booksData.books.length} books`);
+        configureTimelineContent(content);
+        console.log(`Loaded ${content.eras.length} eras, ${content.milestones.length} milestones, ${content.messages.length} messages`);
+        configureDatingSchemes(booksData.datingSchemes);
+        books = filterBooksForCanon(booksData.books);
 
         // Get DOM elements
         scrollSpacer = document.getElementById('scroll-spacer');
@@ -55,37 +136,145 @@ async function init() {
         }
 
         // Build year mapping with gap compression
-        yearMapping = buildYearMapping(booksData.books);
+        yearMapping = buildYearMapping(books);
         console.log(`Year range: ${yearMapping.minYear} to ${yearMapping.maxYear}`);
 
+        // Years the keyboard shortcuts step between
+        timelineStops = getTimelineStops(yearMapping.events);
+
         // Initialize timeline renderer
         renderer = new TimelineRenderer();
-        renderer.setYearRange(yearMapping.minYear, yearMapping.maxYear);
-        renderer.initTicks(booksData.books);
+        renderer.setYearMapping(yearMapping);
+        renderer.initTicks(books);
         renderer.init();
 
+        // Let the track be clicked and dragged to move through time
+        trackScrubber = new TrackScrubber(renderer, {
+            onSeek: (year, behavior) => scrollToYear(year, behavior)
+        });
+
+        // Reading progress (kept in localStorage; marked from the book detail panel)
+        readingProgress = new ReadingProgress(booksData.books, {
+            onChange: () => applyReadingProgress()
+        });
+
+        // Initialize book detail panel (opened by clicking a book card)
+        detailPanel = new BookDetailPanel(document.getElementById('book-detail'), {
+            artwork,
+            totalVerses: booksData.totalVerses,
+            progress: readingProgress,
+            onClose: () => bookManager.unpinBackground()
+        });
+
         // Initialize book manager
-        bookManager = new BookManager(booksData.books, bookColumns);
+        bookManager = new BookManager(books, bookColumns, {
+            progress: readingProgress,
+            onSelect: (book) => detailPanel.open(book),
+            onHover: (book) => kingsManager.highlightProphet(book ? book.id : null)
+        });
 
         // Initialize message manager
-        messageManager = new MessageManager(MESSAGES);
+        messageManager = new MessageManager(getMessages(), { books });
+
+        // Initialize people lane (hovering a person highlights their books on the track)
+        peopleManager = new PeopleManager(getPeople(), document.getElementById('people-lane'), {
+            books,
+            onHighlight: (bookIds) => renderer.highlightBooks(bookIds)
+        });
+
+        // Initialize kings of Israel and Judah lanes (hovering a king highlights their prophets' books)
+        kingsManager = new KingsManager(getKings(), document.getElementById('kings-lanes'), {
+            books,
+            onHighlight: (bookIds) => bookManager.highlightBooks(bookIds)
+        });
+
+        // Initialize secular world-history lane (off until toggled on)
+        worldHistoryManager = new WorldHistoryManager(getEmpires(), document.getElementById('world-lane'));
+
+        // Initialize map panel (off until toggled on; the map loads on first use)
+        mapPanel = new MapPanel(document.getElementById('map-panel'), {
+            places: getPlaces(),
+            empires: getEmpires(),
+            loadMap
+        });
+
+        // Initialize Bible bar (every verse in canonical order; clicking a book jumps to it)
+        bibleBar = new BibleBar(document.getElementById('bible-bar'), books, {
+            allBooks: booksData.books,
+            totalVerses: booksData.totalVerses,
+            otEndPosition: booksData.otEndPosition
+        });
+
+        // Initialize the canonical-order view (opened from the header)
+        canonView = new CanonView(document.getElementById('canon-view'), books);
+
+        // Initialize the reading plan generator (opened from the header)
+        readingPlanPanel = new ReadingPlanPanel(document.getElementById('reading-plan'), books, {
+            progress: readingProgress
+        });
 
         // Initialize milestone card manager (uses same container as books)
         milestoneCardManager = new MilestoneCardManager(bookColumns);
 
+        // Announce eras, books and milestones coming into view to screen readers
+        announcer = new Announcer(document.getElementById('timeline-announcer'));
+
+        // Initialize the static list view (an alternative to the moving cards)
+        listView = new ListView(document.getElementById('timeline-list'), books, {
+            onSelect: (book) => detailPanel.open(book)
+        });
+
+        // Show saved reading progress on the track
+        applyReadingProgress();
+
+        // Show the list instead of the cards if chosen, or if the reader prefers less motion
+        initListViewControl();
+
         // Set up scroll handler
         initScrollHandler();
 
         // Initial update
         handleScroll();
 
+        // Jump to a deep-linked position (e.g. #book=JER) if one was given
+        initDeepLinks();
+
+        // Set up keyboard shortcuts for stepping between events
+        initKeyboardNav();
+
+        // Set up the events/writing dating toggle and canon selector
+        initDatingModeControl();
+        initDatingSchemeControl();
+        initCanonControl();
+        initTrackScaleControl();
+        initWorldHistoryControl();
+        initMapControl();
+        initCanonViewControl();
+        initReadingPlanControl();
+
+        // Set up the Ctrl+K command palette
+        initCommandPalette();
+
         // Expose for debugging
-        window.books = booksData.books;
+        window.books = books;
         window.yearMapping = yearMapping;
         window.bookManager = bookManager;
         window.messageManager = messageManager;
+        window.peopleManager = peopleManager;
+        window.kingsManager = kingsManager;
+        window.worldHistoryManager = worldHistoryManager;
+        window.mapPanel = mapPanel;
+        window.bibleBar = bibleBar;
+        window.canonView = canonView;
+        window.readingPlanPanel = readingPlanPanel;
+        window.readingProgress = readingProgress;
         window.milestoneCardManager = milestoneCardManager;
+        window.announcer = announcer;
+        window.listView = listView;
         window.renderer = renderer;
+        window.detailPanel = detailPanel;
+        window.commandPalette = commandPalette;
+        window.trackScrubber = trackScrubber;
 
         console.log('Bible Timeline initialized');
 
@@ -118,20 +307,501 @@ function initScrollHandler() {
 }
 
 /**
- * Handle scroll event
- * Calculate scroll progress and update year/books
+ * Follow the deep link in the URL hash and keep following it on hash changes
  */
-function handleScroll() {
-    if (!yearMapping || !bookManager || !renderer || !messageManager || !milestoneCardManager) return;
+function initDeepLinks() {
+    navigateToHash(window.location.hash, 'instant');
 
-    const scrollY = window.scrollY;
+    window.addEventListener('hashchange', () => {
+        navigateToHash(window.location.hash, 'smooth');
+    });
+}
+
+/**
+ * Scroll to the position a hash points at
+ * @param {string} hash - Location hash (e.g. '#year=-586')
+ * @param {string} behavior - Scroll behavior ('instant' or 'smooth')
+ * @returns {boolean} True if the hash resolved to a year
+ */
+function navigateToHash(hash, behavior) {
+    const link = parseDeepLink(hash);
+    const year = resolveDeepLinkYear(link, books);
+
+    if (year === null) {
+        if (link) console.warn(`Deep link not found: ${hash}`);
+        return false;
+    }
+
+    linkedScrollY = scrollToYear(year, behavior);
+    return true;
+}
+
+/**
+ * Initialize the dating mode selector (events vs. writing dates)
+ */
+function initDatingModeControl() {
+    const select = document.getElementById('dating-mode-select');
+    if (!select) return;
+
+    select.value = getDatingMode();
+    select.addEventListener('change', () => {
+        applyTimelineChange(() => setDatingMode(select.value));
+    });
+}
+
+/**
+ * Initialize the dating scheme selector (e.g. traditional vs. critical chronology)
+ * Hidden when books.json defines only one scheme
+ */
+function initDatingSchemeControl() {
+    const control = document.getElementById('dating-scheme-control');
+    const select = document.getElementById('dating-scheme-select');
+    const schemes = getDatingSchemes();
+    if (!control || !select || schemes.length < 2) return;
+
+    for (const scheme of schemes) {
+        const option = document.createElement('option');
+        option.value = scheme.id;
+        option.textContent = scheme.name;
+        if (scheme.description) option.title = scheme.description;
+        select.appendChild(option);
+    }
+
+    control.hidden = false;
+    select.value = getDatingScheme().id;
+    select.addEventListener('change', () => {
+        applyTimelineChange(() => setDatingScheme(select.value));
+    });
+}
+
+/**
+ * Initialize the canon tradition selector (Catholic, Protestant, ...)
+ */
+function initCanonControl() {
+    const select = document.getElementById('canon-select');
+    if (!select) return;
+
+    for (const tradition of Object.values(CANON_TRADITIONS)) {
+        const option = document.createElement('option');
+        option.value = tradition.id;
+        option.textContent = tradition.name;
+        select.appendChild(option);
+    }
+
+    select.value = getCanonTradition().id;
+    select.addEventListener('change', () => {
+        applyTimelineChange(() => {
+            setCanonTradition(select.value);
+            books = filterBooksForCanon(booksData.books);
+        });
+    });
+}
+
+/**
+ * Initialize the track scale selector (how years are spread along the left track)
+ */
+function initTrackScaleControl() {
+    const select = document.getElementById('track-scale-select');
+    if (!select) return;
+
+    select.value = renderer.trackScale;
+    select.addEventListener('change', () => {
+        if (Object.values(TRACK_SCALES).includes(select.value)) {
+            renderer.setTrackScale(select.value);
+        }
+    });
+}
+
+/**
+ * Initialize the toggle for the secular world-history lane
+ */
+function initWorldHistoryControl() {
+    const checkbox = document.getElementById('world-history-toggle');
+    if (!checkbox) return;
+
+    worldHistoryManager.setEnabled(checkbox.checked);
+    checkbox.addEventListener('change', () => {
+        worldHistoryManager.setEnabled(checkbox.checked);
+    });
+}
+
+/**
+ * Initialize the toggle for the map panel
+ */
+function initMapControl() {
+    const checkbox = document.getElementById('map-toggle');
+    if (!checkbox) return;
+
+    mapPanel.setEnabled(checkbox.checked);
+    checkbox.addEventListener('change', () => {
+        mapPanel.setEnabled(checkbox.checked);
+    });
+}
+
+/**
+ * Initialize the list view toggle
+ * Follows prefers-reduced-motion until the reader picks a view by hand
+ */
+function initListViewControl() {
+    const checkbox = document.getElementById('list-view-toggle');
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+    const preferred = () => listView.getSavedPreference() ?? Boolean(reduceMotion?.matches);
+
+    const apply = (enabled) => {
+        if (checkbox) checkbox.checked = enabled;
+        setListView(enabled);
+    };
+    apply(preferred());
+
+    checkbox?.addEventListener('change', () => {
+        listView.savePreference(checkbox.checked);
+        setListView(checkbox.checked);
+    });
+    reduceMotion?.addEventListener?.('change', () => apply(preferred()));
+}
+
+/**
+ * Switch between the moving cards and the list, keeping the current year in view
+ * @param {boolean} enabled - True for the list
+ */
+function setListView(enabled) {
+    if (enabled === listView.isEnabled()) return;
+    const yearInView = currentYear;
+
+    listView.setEnabled(enabled);
+    if (enabled) {
+        bookManager.clear();
+        milestoneCardManager.clear();
+        messageManager.clear();
+        peopleManager.clear();
+        kingsManager.clear();
+        worldHistoryManager.clear();
+        announcer.clear();
+        hideBookColumns();
+    }
+
+    if (yearInView !== null) {
+        scrollToYear(yearInView, 'instant');
+    }
+    handleScroll();
+}
+
+/**
+ * Initialize the button that opens the canonical-order view
+ */
+function initCanonViewControl() {
+    document.getElementById('canon-view-button')?.addEventListener('click', () => canonView.open());
+}
+
+/**
+ * Initialize the button that opens the reading plan generator
+ */
+function initReadingPlanControl() {
+    document.getElementById('reading-plan-button')?.addEventListener('click', () => readingPlanPanel.open());
+}
+
+/**
+ * Initialize the command palette for jumping by name or typed year
+ */
+function initCommandPalette() {
+    commandPalette = new CommandPalette(document.getElementById('command-palette'), {
+        getItems: getPaletteItems,
+        onSelect: (item) => scrollToYear(item.year)
+    });
+
+    document.getElementById('command-palette-button')?.addEventListener('click', () => {
+        commandPalette.open();
+    });
+}
+
+/**
+ * Build the command palette entries for the current books, eras and milestones
+ * @returns {Array} Items of { type, label, detail, keywords, year }
+ */
+function getPaletteItems() {
+    const items = [];
+
+    for (const book of books) {
+        const date = getDisplayDate(book);
+        if (date.start === null) continue;
+
+        const range = formatDateRange(date.start, date.end);
+        items.push({
+            type: 'book',
+            label: book.name,
+            detail: date.isWritingDate ? `Written c. ${range}` : range,
+            keywords: [book.id],
+            year: date.start
+        });
+    }
+
+    for (const era of getEras()) {
+        if (era.start === null) continue;
+        items.push({
+            type: 'era',
+            label: era.name,
+            detail: formatDateRange(era.start, Math.min(era.end, CURRENT_YEAR)),
+            keywords: [era.id],
+            year: era.start
+        });
+    }
+
+    for (const milestone of getMilestones()) {
+        items.push({
+            type: 'milestone',
+            label: milestone.name,
+            detail: formatDateRange(milestone.year, milestone.year),
+            keywords: [milestone.id],
+            year: milestone.year
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Apply a change to the timeline options without reloading the page
+ * Keeps the current year in view if the user is inside the timeline
+ * @param {Function} change - Updates the option state (dating mode, canon, ...)
+ */
+function applyTimelineChange(change) {
+    const yearInView = currentYear;
+
+    change();
+    rebuildTimeline();
+
+    if (yearInView !== null) {
+        scrollToYear(yearInView, 'instant');
+    }
+    handleScroll();
+}
+
+/**
+ * Rebuild everything derived from the book set, book dates and milestones
+ * Called when any of them change
+ */
+function rebuildTimeline() {
+    yearMapping = buildYearMapping(books);
+    timelineStops = getTimelineStops(yearMapping.events);
+
+    renderer.setYearMapping(yearMapping);
+    renderer.initTicks(books);
+    renderer.initMilestones();
+    renderer.invalidate();
+
+    bookManager.setBooks(books);
+    messageManager.setBooks(books);
+    peopleManager.setBooks(books);
+    kingsManager.setBooks(books);
+    bibleBar.setBooks(books);
+    canonView.setBooks(books);
+    readingPlanPanel.setBooks(books);
+    listView.setBooks(books);
+    milestoneCardManager.setMilestones(getMilestones());
+
+    applyReadingProgress();
+
+    window.books = books;
+    window.yearMapping = yearMapping;
+}
+
+/**
+ * Show the current reading progress on the cards, ticks and era label
+ */
+function applyReadingProgress() {
+    bookManager.refreshReadState();
+    const booksById = new Map(books.map(book => [book.id, book]));
+    renderer.markReadBooks(bookId => {
+        const book = booksById.get(bookId);
+        return book ? readingProgress.getStatus(book) : READ_STATUS.UNREAD;
+    });
+    readingPlanPanel.updateProgress();
+    eraProgressKey = null;
+    updateEraProgress();
+}
+
+/**
+ * Show how many of the current era's books have been read, e.g. "6/14 books read"
+ * Hidden until the reader has marked some progress
+ */
+function updateEraProgress() {
+    const era = renderer.currentEra;
+    const key = era ? era.id : null;
+    if (key === eraProgressKey) return;
+    eraProgressKey = key;
+
+    if (!era || !readingProgress.hasProgress()) {
+        renderer.setEraProgress('');
+        return;
+    }
+
+    const eraBooks = books.filter(book => getBookEra(book)?.id === era.id);
+    renderer.setEraProgress(eraBooks.length > 0
+        ? `${readingProgress.countRead(eraBooks)}/${eraBooks.length} books read`
+        : '');
+}
+
+/**
+ * Initialize keyboard shortcuts for stepping between timeline events
+ * J / PageDown: next event, K / PageUp: previous event, Home / End: first / last year
+ */
+function initKeyboardNav() {
+    window.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (isEditableTarget(e.target)) return;
+        if (isOverlayOpen()) return; // Keys belong to the dialog, not the timeline behind it
+
+        let handled = true;
+        switch (e.key) {
+            case 'j':
+            case 'J':
+            case 'PageDown':
+                stepToStop(1);
+                break;
+            case 'k':
+            case 'K':
+            case 'PageUp':
+                stepToStop(-1);
+                break;
+            case 'Home':
+                pendingStopTop = scrollToYear(yearMapping.minYear);
+                break;
+            case 'End':
+                pendingStopTop = scrollToYear(yearMapping.maxYear);
+                break;
+            default:
+                handled = false;
+        }
+
+        if (handled) e.preventDefault();
+    });
+
+    // Manual scrolling cancels any in-flight keyboard jump
+    const cancelPendingStop = () => { pendingStopTop = null; };
+    window.addEventListener('wheel', cancelPendingStop, { passive: true });
+    window.addEventListener('touchstart', cancelPendingStop, { passive: true });
+}
+
+/**
+ * Scroll to the next or previous timeline stop
+ * Compares in scroll space so a stop we're already parked on is skipped
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function stepToStop(direction) {
+    if (timelineStops.length === 0) return;
+
+    const current = pendingStopTop !== null ? pendingStopTop : window.scrollY;
+    const stopTops = timelineStops.map(year => ({ year, top: getScrollTopForYear(year) }));
+
+    const target = direction > 0
+        ? stopTops.find(stop => stop.top > current + 1)
+        : stopTops.reverse().find(stop => stop.top < current - 1);
+
+    if (target) {
+        pendingStopTop = scrollToYear(target.year);
+    }
+}
+
+/**
+ * Check whether a dialog covers the timeline
+ * @returns {boolean} True while the canon view or reading plan is open
+ */
+function isOverlayOpen() {
+    return Boolean(canonView?.isOpen() || readingPlanPanel?.isOpen());
+}
+
+/**
+ * Check whether a key event target accepts text input
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, textareas, selects and editable content
+ */
+function isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Scroll the page so the timeline shows a given year
+ * @param {number} year - Target year
+ * @param {string} behavior - Scroll behavior ('instant' or 'smooth')
+ * @returns {number} The scroll offset scrolled to
+ */
+function scrollToYear(year, behavior = 'smooth') {
+    const top = getScrollTopForYear(year);
+
+    window.scrollTo({ top, behavior });
+    return top;
+}
+
+/**
+ * Get the page scroll offset at which the timeline shows a given year
+ * @param {number} year - Target year
+ * @returns {number} Scroll offset in pixels
+ */
+function getScrollTopForYear(year) {
+    if (listView.isEnabled()) {
+        const top = listView.getScrollTopForYear(year);
+        if (top !== null) return top;
+    }
+
+    const { scrollStart, scrollRange } = getScrollBounds();
+    return Math.round(scrollStart + yearMapping.yearToScroll(year) * scrollRange);
+}
+
+/**
+ * Get the scroll offsets that bound the timeline section
+ * @returns {Object} { introHeight, closingOffset, scrollStart, scrollEnd, scrollRange }
+ */
+function getScrollBounds() {
     const introHeight = introSection ? introSection.offsetHeight : 0;
     const closingOffset = closingSection ? closingSection.offsetTop : document.body.scrollHeight;
 
-    // Calculate scroll progress through the timeline section
     // Intro section: before timeline starts
     // Scroll spacer: main timeline area
     // Closing section: after timeline ends
+    const scrollStart = introHeight;
+    const scrollEnd = closingOffset - window.innerHeight;
+
+    return {
+        introHeight,
+        closingOffset,
+        scrollStart,
+        scrollEnd,
+        scrollRange: scrollEnd - scrollStart
+    };
+}
+
+/**
+ * Write the current year into the URL without adding a history entry
+ * Debounced so the URL only changes once scrolling settles
+ */
+const updateUrl = debounce((year) => {
+    // Keep the original link (e.g. #book=JER) while we're still where it put us
+    if (linkedScrollY !== null && Math.abs(window.scrollY - linkedScrollY) <= 2) return;
+    linkedScrollY = null;
+
+    const base = window.location.pathname + window.location.search;
+    const url = year === null ? base : base + formatYearLink(year);
+
+    if (url !== base + window.location.hash) {
+        history.replaceState(null, '', url);
+    }
+}, URL_UPDATE_DELAY);
+
+/**
+ * Handle scroll event
+ * Calculate scroll progress and update year/books
+ */
+function handleScroll() {
+    if (!yearMapping || !bookManager || !renderer || !messageManager || !milestoneCardManager || !peopleManager || !kingsManager || !worldHistoryManager || !mapPanel || !bibleBar || !announcer || !listView) return;
+
+    const scrollY = window.scrollY;
+    const { introHeight, closingOffset, scrollStart, scrollRange } = getScrollBounds();
+
+    // A keyboard jump is complete once we arrive
+    if (pendingStopTop !== null && Math.abs(scrollY - pendingStopTop) <= 2) {
+        pendingStopTop = null;
+    }
 
     // Show/hide fixed header based on intro visibility
     if (siteHeader) {
@@ -146,10 +816,19 @@ function handleScroll() {
         // In intro - show initial state
         renderer.update(yearMapping.minYear);
         renderer.unhighlight();
+        updateEraProgress();
         bookManager.clear();
         messageManager.clear();
+        peopleManager.clear();
+        kingsManager.clear();
+        worldHistoryManager.clear();
+        mapPanel.clear();
+        bibleBar.clear();
         milestoneCardManager.clear();
+        announcer.clear();
         hideBookColumns();
+        currentYear = null;
+        updateUrl(null);
         return;
     }
 
@@ -157,26 +836,39 @@ function handleScroll() {
         // In closing - show final state
         renderer.update(yearMapping.maxYear);
         renderer.highlight();
+        updateEraProgress();
         bookManager.clear();
         messageManager.clear();
+        peopleManager.clear();
+        kingsManager.clear();
+        worldHistoryManager.clear();
+        mapPanel.clear();
+        bibleBar.clear();
         milestoneCardManager.clear();
+        announcer.clear();
         hideBookColumns();
+        currentYear = null;
+        updateUrl(null); // A year link would reopen at the end of the timeline, not here
         return;
     }
 
-    // Calculate progress through scroll spacer (0 to 1)
-    const scrollStart = introHeight;
-    const scrollEnd = closingOffset - window.innerHeight;
-    const scrollRange = scrollEnd - scrollStart;
+    // The list view follows the group at its reading line instead
+    if (listView.isEnabled()) {
+        handleListScroll();
+        return;
+    }
 
+    // Calculate progress through scroll spacer (0 to 1)
     const progress = Math.max(0, Math.min(1, (scrollY - scrollStart) / scrollRange));
 
     // Convert scroll progress to year
     const year = yearMapping.scrollToYear(progress);
+    currentYear = year;
 
     // Update displays
     renderer.update(year);
     renderer.highlight();
+    updateEraProgress();
 
     // Update book visibility
     bookManager.updateForYear(year);
@@ -187,8 +879,60 @@ function handleScroll() {
     // Update message visibility
     messageManager.updateForYear(year);
 
+    // Update people lane
+    peopleManager.updateForYear(year);
+
+    // Update kings lanes (divided kingdom only)
+    kingsManager.updateForYear(year);
+    const visibleBookIds = bookManager.getVisibleBooks().map(book => book.id);
+    kingsManager.setVisibleBooks(visibleBookIds);
+
+    // Update world-history lane (if turned on)
+    worldHistoryManager.updateForYear(year);
+
+    // Update map panel places and borders
+    mapPanel.update(year, visibleBookIds);
+
+    // Light up the visible books on the Bible bar
+    bibleBar.setVisibleBooks(visibleBookIds);
+
+    // Tell screen readers about a new era, books or milestones (throttled)
+    announcer.update({
+        year,
+        era: renderer.currentEra,
+        books: bookManager.getVisibleBooks(),
+        milestones: milestoneCardManager.getVisibleMilestones()
+    });
+
     // Show book columns
     showBookColumns();
+
+    // Keep the URL pointing at the current year
+    updateUrl(year);
+}
+
+/**
+ * Update the year, track, map and Bible bar for the list view's group in view
+ */
+function handleListScroll() {
+    const group = listView.update();
+
+    // Undated groups keep the last year shown
+    if (group && group.centerDate !== null) {
+        currentYear = group.centerDate;
+    } else if (currentYear === null) {
+        currentYear = group ? yearMapping.maxYear : yearMapping.minYear;
+    }
+
+    renderer.update(currentYear);
+    renderer.highlight();
+    updateEraProgress();
+
+    const bookIds = group ? group.books.map(book => book.id) : [];
+    mapPanel.update(currentYear, bookIds);
+    bibleBar.setVisibleBooks(bookIds);
+
+    updateUrl(currentYear);
 }
 
 /**
@@ -218,7 +962,7 @@ function showError(message) {
         container.innerHTML = `
             <div class="error-message">
                 <h2>Failed to load timeline</h2>
-                <p>${message}</p>
+                <p>${escapeHtml(message)}</p>
             </div>
         `;
     }
@@ -0,0 +1,226 @@
+/**
+ * Map Panel - Outline map of the biblical world, highlighting the places tied to the books on screen
+ *
+ * The map is drawn from the bundled near-east.geojson (coasts, rivers and rough empire
+ * borders) and places.json, so it needs no tile server and works offline. It is loaded
+ * the first time the panel is turned on.
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+// Area shown, in degrees (Rome to the Persian Gulf, the Black Sea to Upper Egypt)
+const MAP_BOUNDS = { west: 10, east: 58, south: 22, north: 45 };
+
+// SVG units per degree of latitude; longitude is narrowed for the map's middle latitude
+const MAP_SCALE = 20;
+const LON_FACTOR = Math.cos(((MAP_BOUNDS.north + MAP_BOUNDS.south) / 2) * Math.PI / 180);
+
+const MAP_WIDTH = Math.round((MAP_BOUNDS.east - MAP_BOUNDS.west) * LON_FACTOR * MAP_SCALE);
+const MAP_HEIGHT = (MAP_BOUNDS.north - MAP_BOUNDS.south) * MAP_SCALE;
+
+export class MapPanel {
+    /**
+     * @param {HTMLElement} element - Panel element
+     * @param {Object} options - { places, empires, loadMap() → Promise of GeoJSON }
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.places = options.places || [];
+        this.empires = options.empires || [];
+        this.loadMap = options.loadMap || null;
+
+        this.mapElement = element?.querySelector('.map-panel__map') || null;
+        this.captionElement = element?.querySelector('.map-panel__caption') || null;
+
+        // Rendered SVG pieces: placeId → element, and border elements with their empire ids
+        this.placeElements = new Map();
+        this.borderElements = [];
+
+        this.enabled = false;
+        this.rendered = false;
+        this.loading = null;
+
+        this.currentYear = null;
+        this.bookIds = [];
+        this.stateKey = null; // Year and books last drawn, to skip repeat updates
+    }
+
+    /**
+     * Turn the panel on or off (the map is loaded the first time it's turned on)
+     * @param {boolean} enabled - Whether to show the panel
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!this.element) return;
+
+        this.element.hidden = !enabled;
+        if (enabled && !this.rendered) this.load();
+    }
+
+    /**
+     * Load and draw the map
+     */
+    async load() {
+        if (this.loading || !this.loadMap) return;
+
+        this.loading = this.loadMap()
+            .then(geojson => {
+                this.render(geojson);
+                this.stateKey = null;
+                if (this.currentYear !== null) this.update(this.currentYear, this.bookIds);
+            })
+            .catch(error => {
+                console.error('Failed to load map:', error);
+                if (this.mapElement) {
+                    this.mapElement.innerHTML = `<p class="map-panel__error">${escapeHtml(error.message)}</p>`;
+                }
+                this.loading = null;
+            });
+    }
+
+    /**
+     * Draw the outline map and place markers
+     * @param {Object} geojson - FeatureCollection of land, sea, river and border features
+     */
+    render(geojson) {
+        if (!this.mapElement) return;
+
+        const colors = new Map(this.empires.map(empire => [empire.id, empire.color]));
+        const layers = { border: [], sea: [], land: [], river: [] };
+
+        for (const feature of geojson.features || []) {
+            const { kind, name, empires = [] } = feature.properties || {};
+            if (!layers[kind]) continue;
+
+            const path = geometryToPath(feature.geometry);
+            if (!path) continue;
+
+            if (kind === 'border') {
+                const color = colors.get(empires.find(id => colors.has(id)));
+                const style = color ? ` style="--empire-color: ${color}"` : '';
+                layers.border.push(`<path class="map-panel__border" d="${path}" data-empires="${escapeHtml(empires.join(' '))}"${style}><title>${escapeHtml(name || '')}</title></path>`);
+            } else {
+                layers[kind].push(`<path class="map-panel__${kind}" d="${path}"></path>`);
+            }
+        }
+
+        const places = this.places.map(place => {
+            const [x, y] = project(place.lon, place.lat);
+            return `<circle class="map-place" cx="${x}" cy="${y}" r="5" data-place-id="${escapeHtml(place.id)}"><title>${escapeHtml(place.name)}</title></circle>`;
+        });
+
+        this.mapElement.innerHTML = `
+            <svg class="map-panel__svg" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" role="img" aria-label="Map of the biblical world">
+                <rect class="map-panel__background" width="${MAP_WIDTH}" height="${MAP_HEIGHT}"></rect>
+                <g>${layers.border.join('')}</g>
+                <g>${layers.sea.join('')}</g>
+                <g>${layers.land.join('')}</g>
+                <g>${layers.river.join('')}</g>
+                <g>${places.join('')}</g>
+            </svg>
+        `;
+
+        this.placeElements = new Map(
+            [...this.mapElement.querySelectorAll('.map-place')].map(el => [el.dataset.placeId, el])
+        );
+        this.borderElements = [...this.mapElement.querySelectorAll('.map-panel__border')].map(el => ({
+            element: el,
+            empireIds: el.dataset.empires.split(' ')
+        }));
+        this.rendered = true;
+    }
+
+    /**
+     * Highlight the places tied to the books on screen and the empires of the year
+     * @param {number} year - Current year in timeline
+     * @param {Array} bookIds - Ids of the visible books
+     */
+    update(year, bookIds) {
+        this.currentYear = year;
+        this.bookIds = bookIds;
+        this.element?.classList.add('visible');
+        if (!this.rendered) return;
+
+        const key = `${year}|${bookIds.join(',')}`;
+        if (key === this.stateKey) return;
+        this.stateKey = key;
+
+        const visible = new Set(bookIds);
+        const active = this.places.filter(place => place.books.some(id => visible.has(id)));
+        const activeIds = new Set(active.map(place => place.id));
+
+        for (const [placeId, element] of this.placeElements) {
+            element.classList.toggle('is-active', activeIds.has(placeId));
+        }
+
+        const empireIds = new Set(this.empires
+            .filter(empire => year >= empire.start && year < empire.end)
+            .map(empire => empire.id));
+        for (const { element, empireIds: ids } of this.borderElements) {
+            element.classList.toggle('is-active', ids.some(id => empireIds.has(id)));
+        }
+
+        this.updateCaption(active);
+    }
+
+    /**
+     * List the highlighted places under the map
+     * @param {Array} places - Active place objects
+     */
+    updateCaption(places) {
+        if (!this.captionElement) return;
+        this.captionElement.textContent = places.length > 0
+            ? places.map(place => place.name).join(' · ')
+            : 'No places for the books in view';
+    }
+
+    /**
+     * Hide the panel and clear the highlights (intro/closing states)
+     */
+    clear() {
+        this.currentYear = null;
+        this.bookIds = [];
+        this.stateKey = null;
+        this.element?.classList.remove('visible');
+
+        for (const element of this.placeElements.values()) {
+            element.classList.remove('is-active');
+        }
+        for (const { element } of this.borderElements) {
+            element.classList.remove('is-active');
+        }
+        if (this.captionElement) this.captionElement.textContent = '';
+    }
+}
+
+/**
+ * Project a point onto the map (equirectangular, narrowed for the map's latitude)
+ * @param {number} lon - Longitude in degrees
+ * @param {number} lat - Latitude in degrees
+ * @returns {Array} [x, y] in SVG units, rounded to one decimal
+ */
+function project(lon, lat) {
+    const x = (lon - MAP_BOUNDS.west) * LON_FACTOR * MAP_SCALE;
+    const y = (MAP_BOUNDS.north - lat) * MAP_SCALE;
+    return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+}
+
+/**
+ * Convert a GeoJSON Polygon or LineString to SVG path data
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string|null} Path data, or null for unsupported geometry
+ */
+function geometryToPath(geometry) {
+    const toPath = (points, closed) => points
+        .map(([lon, lat], i) => `${i === 0 ? 'M' : 'L'}${project(lon, lat).join(',')}`)
+        .join('') + (closed ? 'Z' : '');
+
+    switch (geometry?.type) {
+        case 'Polygon':
+            return geometry.coordinates.map(ring => toPath(ring, true)).join('');
+        case 'LineString':
+            return toPath(geometry.coordinates, false);
+        default:
+            return null;
+    }
+}
@@ -3,21 +3,35 @@
  *
  * Messages are displayed based on year ranges and provide historical context
  * (e.g., explaining Apostolic Tradition during the early Church Age)
+ *
+ * Message content uses the Markdown subset from rich-text.js; scripture references
+ * in it link to the matching book.
  */
 
+import { escapeHtml } from './html-utils.js';
+import { renderRichText, createReferenceResolver, isSafeUrl } from './rich-text.js';
+import { IntervalIndex } from './lookup.js';
+
+// Share of a message's year range spent fading in (and out) when it sets no fade window
+const DEFAULT_FADE_FRACTION = 0.1;
+
 export class MessageManager {
     /**
-     * @param {Array} messages - Array of message objects with yearStart, yearEnd, title, content
+     * @param {Array} messages - Array of message objects with yearStart, yearEnd, title, content,
+     *                           and optional fadeIn / fadeOut (years) and image { src, alt, credit }
+     * @param {Object} options - { books } used to link scripture references
      */
-    constructor(messages) {
+    constructor(messages, options = {}) {
         this.messages = messages;
         this.container = document.getElementById('message-container');
+        this.resolveReference = createReferenceResolver(options.books || []);
 
         // Track visible messages: messageId → { element, message, visible }
         this.visibleMessages = new Map();
 
         // Pre-process messages for quick lookup
         this.messagesByRange = this.preprocessMessages();
+        this.messageIndex = new IntervalIndex(this.messagesByRange, message => message.yearStart, message => message.yearEnd);
 
         this.currentYear = null;
     }
@@ -34,6 +48,15 @@ export class MessageManager {
             .sort((a, b) => a.yearStart - b.yearStart);
     }
 
+    /**
+     * Use a new book set for scripture reference links (e.g. after the canon changes)
+     * Messages already showing keep their links until they next appear.
+     * @param {Array} books - Book objects
+     */
+    setBooks(books) {
+        this.resolveReference = createReferenceResolver(books);
+    }
+
     /**
      * Update message visibility for a given year
      * @param {number} year - Current year in timeline
@@ -41,20 +64,20 @@ export class MessageManager {
     updateForYear(year) {
         this.currentYear = year;
 
-        for (const message of this.messagesByRange) {
-            const shouldBeVisible = year >= message.yearStart && year <= message.yearEnd;
-            const isCurrentlyVisible = this.visibleMessages.has(message.id);
+        const inRange = this.messageIndex.query(year);
+        const inRangeIds = new Set(inRange.map(message => message.id));
+
+        // Hide messages whose range has passed
+        for (const [messageId] of this.visibleMessages) {
+            if (!inRangeIds.has(messageId)) this.hideMessage(messageId);
+        }
 
-            if (shouldBeVisible && !isCurrentlyVisible) {
+        for (const message of inRange) {
+            if (!this.visibleMessages.has(message.id)) {
                 // Show message
                 this.showMessage(message);
-            } else if (!shouldBeVisible && isCurrentlyVisible) {
-                // Hide message
-                this.hideMessage(message.id);
-            }
-
-            // Update opacity based on position within range (for fade effect)
-            if (shouldBeVisible && isCurrentlyVisible) {
+            } else {
+                // Update opacity based on position within range (for fade effect)
                 this.updateMessageOpacity(message, year);
             }
         }
@@ -115,7 +138,8 @@ export class MessageManager {
 
     /**
      * Update message opacity based on position in year range
-     * Fades in at start, full opacity in middle, fades out at end
+     * Fades in over the message's fadeIn years, full opacity in middle, fades out over fadeOut years
+     * (each defaults to 10% of the range; 0 means no fade)
      * @param {Object} message - Message object
      * @param {number} year - Current year
      */
@@ -124,18 +148,18 @@ export class MessageManager {
         if (!data) return;
 
         const range = message.yearEnd - message.yearStart;
-        const position = year - message.yearStart;
-        const progress = position / range;
+        const fadeIn = message.fadeIn ?? range * DEFAULT_FADE_FRACTION;
+        const fadeOut = message.fadeOut ?? range * DEFAULT_FADE_FRACTION;
 
-        // Fade in over first 10%, fade out over last 10%
         let opacity = 1;
-        if (progress < 0.1) {
-            opacity = progress / 0.1;
-        } else if (progress > 0.9) {
-            opacity = (1 - progress) / 0.1;
+        if (fadeIn > 0) {
+            opacity = Math.min(opacity, (year - message.yearStart) / fadeIn);
+        }
+        if (fadeOut > 0) {
+            opacity = Math.min(opacity, (message.yearEnd - year) / fadeOut);
         }
 
-        data.element.style.setProperty('--message-opacity', opacity);
+        data.element.style.setProperty('--message-opacity', Math.max(0, opacity));
     }
 
     /**
@@ -149,13 +173,36 @@ export class MessageManager {
         box.dataset.messageId = message.id;
 
         box.innerHTML = `
-            <h3 class="message-box__title">${message.title}</h3>
-            <p class="message-box__content">${message.content}</p>
+            ${this.renderImage(message.image)}
+            <h3 class="message-box__title">${escapeHtml(message.title)}</h3>
+            <div class="message-box__content">
+                ${renderRichText(message.content, { resolveReference: this.resolveReference })}
+            </div>
         `;
 
         return box;
     }
 
+    /**
+     * Render a message's optional image
+     * @param {Object} image - { src, alt, credit } or undefined
+     * @returns {string} HTML string (empty if there's no usable image)
+     */
+    renderImage(image) {
+        if (!image || !isSafeUrl(image.src, { allowRelative: true })) return '';
+
+        const credit = image.credit
+            ? `<figcaption class="message-box__credit">${escapeHtml(image.credit)}</figcaption>`
+            : '';
+
+        return `
+            <figure class="message-box__figure">
+                <img class="message-box__image" src="${escapeHtml(image.src)}" alt="${escapeHtml(image.alt)}" loading="lazy">
+                ${credit}
+            </figure>
+        `;
+    }
+
     /**
      * Get current visible message count
      * @returns {number} Number of visible messages
@@ -3,9 +3,13 @@
  *
  * Milestones stack vertically - when a new milestone enters, previous ones
  * slide up but remain visible, creating a growing stack of milestones.
+ * Removed cards are pooled and refilled, and their stacking styles are written
+ * through style-batch.js.
  */
 
-import { MILESTONES } from './data-loader.js';
+import { getMilestones } from './data-loader.js';
+import { bisectRight } from './lookup.js';
+import { queueStyles, forgetStyles } from './style-batch.js';
 
 // Animation constants
 const LEAD_YEARS = 15;  // Years before milestone appears for slide-in animation
@@ -17,14 +21,18 @@ export class MilestoneCardManager {
      */
     constructor(container) {
         this.container = container;
-        this.milestones = MILESTONES;
+        this.milestones = getMilestones();
+        this.milestonesByYear = sortByYear(this.milestones);
 
-        // Track visible milestones in order: milestoneId → { element, milestone, index }
+        // Track visible milestones in year order: milestoneId → { element, milestone, index }
         this.visibleMilestones = new Map();
 
         // Order of milestones that have appeared (for stacking)
         this.milestoneOrder = [];
 
+        // Cards no longer showing, ready to be refilled
+        this.cardPool = [];
+
         this.currentYear = null;
     }
 
@@ -35,18 +43,16 @@ export class MilestoneCardManager {
     updateForYear(year) {
         this.currentYear = year;
 
-        // Check each milestone
-        for (let i = 0; i < this.milestones.length; i++) {
-            const milestone = this.milestones[i];
-            const entryStart = milestone.year - LEAD_YEARS;
-            const shouldBeVisible = year >= entryStart;
-            const isCurrentlyVisible = this.visibleMilestones.has(milestone.id);
+        // Milestones stay visible once reached, so the visible ones are always the first
+        // in year order: only the milestones between the old and new count change
+        const shownCount = this.visibleMilestones.size;
+        const visibleCount = bisectRight(this.milestonesByYear, year + LEAD_YEARS, milestone => milestone.year);
 
-            if (shouldBeVisible && !isCurrentlyVisible) {
-                this.addMilestoneCard(milestone, i);
-            } else if (!shouldBeVisible && isCurrentlyVisible) {
-                this.removeMilestoneCard(milestone.id);
-            }
+        for (let i = shownCount; i < visibleCount; i++) {
+            this.addMilestoneCard(this.milestonesByYear[i], i);
+        }
+        for (let i = shownCount - 1; i >= visibleCount; i--) {
+            this.removeMilestoneCard(this.milestonesByYear[i].id);
         }
 
         // Update positions of all visible cards (for stacking and entry animation)
@@ -59,9 +65,8 @@ export class MilestoneCardManager {
      * @param {number} year - Current year
      */
     updateAllPositions(year) {
-        // Get milestones in chronological order
-        const visibleList = Array.from(this.visibleMilestones.values())
-            .sort((a, b) => a.milestone.year - b.milestone.year);
+        // Cards are added and removed at the end, so they're already in chronological order
+        const visibleList = Array.from(this.visibleMilestones.values());
 
         const totalVisible = visibleList.length;
 
@@ -93,19 +98,23 @@ export class MilestoneCardManager {
             // Scale down older cards slightly for visual hierarchy
             const scale = 1 - (stackIndex * 0.05);
 
-            element.style.transform = `translateY(${totalOffset}px) scale(${Math.max(0.85, scale)})`;
-            element.style.opacity = opacity;
-            element.style.zIndex = totalVisible - stackIndex; // Newest on top
+            queueStyles(element, {
+                transform: `translateY(${totalOffset}px) scale(${Math.max(0.85, scale)})`,
+                opacity,
+                zIndex: totalVisible - stackIndex // Newest on top
+            });
         });
     }
 
     /**
      * Add a milestone card to the display
      * @param {Object} milestone - Milestone object
-     * @param {number} index - Index in milestones array
+     * @param {number} index - Index in year order
      */
     addMilestoneCard(milestone, index) {
-        const element = this.createMilestoneCard(milestone);
+        // Reuse a pooled card if there is one
+        const element = this.cardPool.pop() || this.createMilestoneCard();
+        this.fillMilestoneCard(element, milestone);
 
         // Position in center of grid (span 2 columns)
         element.style.gridColumn = '2 / 4';
@@ -123,36 +132,58 @@ export class MilestoneCardManager {
         const data = this.visibleMilestones.get(milestoneId);
         if (!data) return;
 
-        data.element.remove();
+        // Remove from DOM and keep the card for the next milestone
+        const { element } = data;
+        element.remove();
+        forgetStyles(element);
+        element.style.transform = '';
+        element.style.opacity = '';
+        element.style.zIndex = '';
+        this.cardPool.push(element);
         this.visibleMilestones.delete(milestoneId);
     }
 
     /**
-     * Create a milestone card element
-     * @param {Object} milestone - Milestone object
+     * Create an empty milestone card element, filled by fillMilestoneCard
      * @returns {HTMLElement} Milestone card element
      */
-    createMilestoneCard(milestone) {
-        const card = document.createElement('div');
+    createMilestoneCard() {
+        const card = document.createElement('article');
         card.className = 'milestone-card';
+        card.innerHTML = `
+            <div class="milestone-card__year"></div>
+            <h3 class="milestone-card__title"></h3>
+            <p class="milestone-card__description"></p>
+        `;
+        return card;
+    }
+
+    /**
+     * Show a milestone on a (new or pooled) card
+     * @param {HTMLElement} card - Milestone card element
+     * @param {Object} milestone - Milestone object
+     */
+    fillMilestoneCard(card, milestone) {
         card.dataset.milestoneId = milestone.id;
 
         // Large milestones (like Living Tradition) get special styling and no year badge
-        if (milestone.isLargeMilestone) {
-            card.classList.add('milestone-card--large');
-            card.innerHTML = `
-                <h3 class="milestone-card__title">${milestone.name}</h3>
-                <p class="milestone-card__description">${milestone.description}</p>
-            `;
-        } else {
-            card.innerHTML = `
-                <div class="milestone-card__year">${milestone.year} AD</div>
-                <h3 class="milestone-card__title">${milestone.name}</h3>
-                <p class="milestone-card__description">${milestone.description}</p>
-            `;
-        }
+        card.classList.toggle('milestone-card--large', Boolean(milestone.isLargeMilestone));
+        const year = card.querySelector('.milestone-card__year');
+        year.hidden = Boolean(milestone.isLargeMilestone);
+        year.textContent = milestone.isLargeMilestone ? '' : `${milestone.year} AD`;
 
-        return card;
+        card.querySelector('.milestone-card__title').textContent = milestone.name;
+        card.querySelector('.milestone-card__description').textContent = milestone.description;
+    }
+
+    /**
+     * Replace the milestone set (e.g. when the canon tradition changes)
+     * @param {Array} milestones - Milestone objects
+     */
+    setMilestones(milestones) {
+        this.clear();
+        this.milestones = milestones;
+        this.milestonesByYear = sortByYear(milestones);
     }
 
     /**
@@ -163,6 +194,14 @@ export class MilestoneCardManager {
         return this.visibleMilestones.size;
     }
 
+    /**
+     * Get the milestones whose cards are showing
+     * @returns {Array} Milestone objects
+     */
+    getVisibleMilestones() {
+        return Array.from(this.visibleMilestones.values()).map(v => v.milestone);
+    }
+
     /**
      * Clear all visible milestone cards
      */
@@ -173,3 +212,12 @@ export class MilestoneCardManager {
         this.currentYear = null;
     }
 }
+
+/**
+ * Sort milestones by year (keeping the given order for the same year)
+ * @param {Array} milestones - Milestone objects
+ * @returns {Array} Sorted copy
+ */
+function sortByYear(milestones) {
+    return [...milestones].sort((a, b) => a.year - b.year);
+}
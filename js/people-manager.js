@@ -0,0 +1,224 @@
+/**
+ * People Manager - Shows key people as chips in their own lane while they live
+ *
+ * Each chip has a lifespan bar filled up to the current year and links to the
+ * books the person appears in. Hovering (or focusing) a chip asks the track to
+ * highlight those books' ticks.
+ */
+
+import { formatDateRange } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+import { IntervalIndex } from './lookup.js';
+
+export class PeopleManager {
+    /**
+     * @param {Array} people - Array of person objects from people.json
+     * @param {HTMLElement} container - Lane element for the chips
+     * @param {Object} options - { books, onHighlight(bookIds | null) } called when a chip is hovered
+     */
+    constructor(people, container, options = {}) {
+        this.people = people;
+        this.container = container;
+        this.onHighlight = options.onHighlight || null;
+        this.booksById = new Map((options.books || []).map(book => [book.id, book]));
+
+        // Track visible people: personId → { element, entry }
+        this.visiblePeople = new Map();
+        this.highlightedId = null;
+
+        // Pre-process people for quick lookup
+        this.peopleByDate = this.preprocessPeople();
+        this.peopleIndex = new IntervalIndex(this.peopleByDate, entry => entry.start, entry => entry.end);
+
+        this.currentYear = null;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Work out each person's span (lifespan if known, otherwise active years), sorted by start
+     */
+    preprocessPeople() {
+        return this.people
+            .map(person => {
+                const isLifespan = Number.isInteger(person.born) && Number.isInteger(person.died);
+                return {
+                    person,
+                    start: isLifespan ? person.born : person.activeStart,
+                    end: isLifespan ? person.died : person.activeEnd,
+                    isLifespan
+                };
+            })
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Set up hover and focus handlers (delegated, so chips can come and go)
+     */
+    bindEvents() {
+        if (!this.container) return;
+
+        const chipFor = (e) => e.target.closest('.person-chip');
+
+        this.container.addEventListener('mouseover', (e) => {
+            const chip = chipFor(e);
+            if (chip) this.highlight(chip.dataset.personId);
+        });
+        this.container.addEventListener('mouseleave', () => this.highlight(null));
+        this.container.addEventListener('focusin', (e) => {
+            const chip = chipFor(e);
+            if (chip) this.highlight(chip.dataset.personId);
+        });
+        this.container.addEventListener('focusout', (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.highlight(null);
+        });
+    }
+
+    /**
+     * Use a new book set (e.g. after the canon changes); links to books outside it are dropped
+     * @param {Array} books - Book objects
+     */
+    setBooks(books) {
+        this.booksById = new Map(books.map(book => [book.id, book]));
+
+        const year = this.currentYear;
+        this.clear();
+        if (year !== null) this.updateForYear(year);
+    }
+
+    /**
+     * Update chip visibility and lifespan bars for a given year
+     * @param {number} year - Current year in timeline
+     */
+    updateForYear(year) {
+        this.currentYear = year;
+
+        const living = this.peopleIndex.query(year);
+        const livingIds = new Set(living.map(entry => entry.person.id));
+
+        for (const [personId] of this.visiblePeople) {
+            if (!livingIds.has(personId)) this.hidePerson(personId);
+        }
+
+        for (const entry of living) {
+            if (!this.visiblePeople.has(entry.person.id)) this.showPerson(entry);
+            this.updateLifespanBar(entry, year);
+        }
+
+        this.container?.classList.toggle('visible', this.visiblePeople.size > 0);
+    }
+
+    /**
+     * Add a person's chip, keeping the lane in order of start year
+     * @param {Object} entry - Preprocessed person entry
+     */
+    showPerson(entry) {
+        if (!this.container) return;
+
+        const element = this.createChip(entry);
+
+        const next = [...this.visiblePeople.values()]
+            .filter(data => data.entry.start > entry.start)
+            .sort((a, b) => a.entry.start - b.entry.start)[0];
+        this.container.insertBefore(element, next ? next.element : null);
+
+        this.visiblePeople.set(entry.person.id, { element, entry });
+    }
+
+    /**
+     * Remove a person's chip
+     * @param {string} personId - Person ID
+     */
+    hidePerson(personId) {
+        const data = this.visiblePeople.get(personId);
+        if (!data) return;
+
+        data.element.remove();
+        this.visiblePeople.delete(personId);
+
+        if (this.highlightedId === personId) this.highlight(null);
+    }
+
+    /**
+     * Fill a chip's bar up to the current year
+     * @param {Object} entry - Preprocessed person entry
+     * @param {number} year - Current year
+     */
+    updateLifespanBar(entry, year) {
+        const data = this.visiblePeople.get(entry.person.id);
+        if (!data) return;
+
+        const span = entry.end - entry.start;
+        const progress = span > 0 ? (year - entry.start) / span : 1;
+        data.element.style.setProperty('--person-progress', Math.max(0, Math.min(1, progress)));
+    }
+
+    /**
+     * Create a person chip
+     * @param {Object} entry - Preprocessed person entry
+     * @returns {HTMLElement} Chip element
+     */
+    createChip(entry) {
+        const { person, start, end, isLifespan } = entry;
+
+        const chip = document.createElement('div');
+        chip.className = 'person-chip';
+        chip.dataset.personId = person.id;
+        chip.tabIndex = 0;
+        chip.setAttribute('role', 'group');
+
+        const range = formatDateRange(start, end);
+        const dates = isLifespan ? range : `active ${range}`;
+        const role = person.role ? `<span class="person-chip__role">${escapeHtml(person.role)}</span>` : '';
+
+        const links = person.books
+            .filter(id => this.booksById.has(id))
+            .map(id => {
+                const book = this.booksById.get(id);
+                return `<a class="person-chip__book" href="#book=${encodeURIComponent(id)}" title="${escapeHtml(book.name)}">${escapeHtml(id)}</a>`;
+            })
+            .join('');
+
+        chip.innerHTML = `
+            <span class="person-chip__name">${escapeHtml(person.name)}</span>
+            <span class="person-chip__dates">${dates}</span>
+            ${role}
+            <span class="person-chip__bar" aria-hidden="true"><span class="person-chip__fill"></span></span>
+            ${links ? `<span class="person-chip__books">${links}</span>` : ''}
+        `;
+        chip.setAttribute('aria-label', `${person.name}, ${dates}`);
+
+        return chip;
+    }
+
+    /**
+     * Highlight a person's chip and their books on the track
+     * @param {string|null} personId - Person to highlight, or null to clear
+     */
+    highlight(personId) {
+        if (personId === this.highlightedId) return;
+
+        if (this.highlightedId) {
+            this.visiblePeople.get(this.highlightedId)?.element.classList.remove('is-highlighted');
+        }
+        this.highlightedId = personId;
+
+        const data = personId ? this.visiblePeople.get(personId) : null;
+        data?.element.classList.add('is-highlighted');
+
+        if (this.onHighlight) {
+            this.onHighlight(data ? data.entry.person.books.filter(id => this.booksById.has(id)) : null);
+        }
+    }
+
+    /**
+     * Clear all visible people
+     */
+    clear() {
+        for (const [personId] of this.visiblePeople) {
+            this.hidePerson(personId);
+        }
+        this.container?.classList.remove('visible');
+        this.currentYear = null;
+    }
+}
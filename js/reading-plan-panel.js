@@ -0,0 +1,288 @@
+/**
+ * Reading Plan Panel - Dialog for generating and downloading a chronological reading plan
+ *
+ * The plan follows the books in the selected canon, dating mode and scheme, so it
+ * matches the order the timeline shows them in. The dialog also exports and imports
+ * the reader's progress (see reading-progress.js).
+ */
+
+import {
+    buildReadingPlan,
+    formatReading,
+    getPlanDate,
+    planToICalendar,
+    planToCsv
+} from './reading-plan.js';
+import { escapeHtml } from './html-utils.js';
+
+const DEFAULT_DAYS = 365;
+const MAX_DAYS = 3650;
+
+export class ReadingPlanPanel {
+    /**
+     * @param {HTMLElement} element - Overlay element
+     * @param {Array} books - Books in the selected canon
+     * @param {Object} options - { progress } ReadingProgress to export and import
+     */
+    constructor(element, books, options = {}) {
+        this.element = element;
+        this.books = books;
+        this.progress = options.progress || null;
+
+        this.plan = null;
+        this.returnFocus = null;
+        this.isShown = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.element?.addEventListener('click', (e) => {
+            if (e.target.closest('.reading-plan__close') || e.target === this.element) {
+                this.close();
+                return;
+            }
+            const download = e.target.closest('[data-format]');
+            if (download) this.download(download.dataset.format);
+            if (e.target.closest('.reading-plan__export')) this.exportProgress();
+            if (e.target.closest('.reading-plan__import')) this.element.querySelector('.reading-plan__import-file')?.click();
+        });
+        this.element?.addEventListener('change', (e) => {
+            if (e.target.closest('.reading-plan__import-file')) this.importProgress(e.target);
+        });
+        this.element?.addEventListener('input', (e) => {
+            if (e.target.closest('.reading-plan__form')) this.update();
+        });
+        this.element?.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    /**
+     * Use a new book set (e.g. after the canon or dating mode changes)
+     * @param {Array} books - Books in the selected canon
+     */
+    setBooks(books) {
+        this.books = books;
+        if (this.isShown) {
+            this.update();
+            this.updateProgress();
+        }
+    }
+
+    /**
+     * Open the dialog
+     */
+    open() {
+        if (!this.element || this.isShown) return;
+
+        this.isShown = true;
+        this.returnFocus = document.activeElement;
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.render();
+        this.element.hidden = false;
+        this.element.querySelector('.reading-plan__input')?.focus({ preventScroll: true });
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (!this.element || !this.isShown) return;
+
+        this.isShown = false;
+        this.element.hidden = true;
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check whether the dialog is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.isShown;
+    }
+
+    /**
+     * Close on Escape
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Build the dialog, then fill in the plan
+     */
+    render() {
+        const today = getLocalDate(new Date());
+
+        this.element.innerHTML = `
+            <div class="reading-plan__dialog" role="dialog" aria-labelledby="reading-plan-title">
+                <header class="reading-plan__header">
+                    <h2 class="reading-plan__title" id="reading-plan-title">Chronological reading plan</h2>
+                    <button type="button" class="reading-plan__close" aria-label="Close">&times;</button>
+                </header>
+                <form class="reading-plan__form">
+                    <label class="reading-plan__field">
+                        <span class="reading-plan__label">Days</span>
+                        <input type="number" class="reading-plan__input" name="days" min="1" max="${MAX_DAYS}" value="${DEFAULT_DAYS}">
+                    </label>
+                    <label class="reading-plan__field">
+                        <span class="reading-plan__label">Starting</span>
+                        <input type="date" class="reading-plan__input" name="start" value="${today}">
+                    </label>
+                    <div class="reading-plan__downloads">
+                        <button type="button" class="timeline-control__button" data-format="ics">Calendar (.ics)</button>
+                        <button type="button" class="timeline-control__button" data-format="csv">Spreadsheet (CSV)</button>
+                    </div>
+                </form>
+                <p class="reading-plan__summary" aria-live="polite"></p>
+                <ol class="reading-plan__days"></ol>
+                ${this.progress ? `
+                    <div class="reading-plan__progress">
+                        <span class="reading-plan__progress-status" aria-live="polite"></span>
+                        <button type="button" class="timeline-control__button reading-plan__export">Export progress</button>
+                        <button type="button" class="timeline-control__button reading-plan__import">Import progress</button>
+                        <input type="file" class="reading-plan__import-file" accept="application/json,.json" hidden>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        this.update();
+        this.updateProgress();
+    }
+
+    /**
+     * Show how many books in the canon have been read
+     * @param {string} message - Optional note to show after the count (e.g. an import result)
+     */
+    updateProgress(message = '') {
+        const status = this.element?.querySelector('.reading-plan__progress-status');
+        if (!status) return;
+
+        const read = this.progress.countRead(this.books);
+        const count = `${read} of ${this.books.length} books read (saved in this browser only)`;
+        status.textContent = message ? `${count} — ${message}` : count;
+    }
+
+    /**
+     * Download the reading progress as JSON
+     */
+    exportProgress() {
+        downloadFile(this.progress.exportJson(), 'application/json', 'reading-progress.json');
+    }
+
+    /**
+     * Replace the reading progress with a chosen JSON file
+     * @param {HTMLInputElement} input - File input
+     */
+    async importProgress(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            const count = this.progress.importJson(await file.text());
+            this.updateProgress(`imported ${count} ${count === 1 ? 'book' : 'books'}`);
+        } catch (error) {
+            this.updateProgress(error.message);
+        }
+        input.value = '';
+    }
+
+    /**
+     * Read the form
+     * @returns {Object} { days, startDate }
+     */
+    getSettings() {
+        const form = this.element.querySelector('.reading-plan__form');
+        const days = Math.min(MAX_DAYS, Math.max(1, parseInt(form.elements.days.value, 10) || DEFAULT_DAYS));
+        const startDate = /^\d{4}-\d{2}-\d{2}$/.test(form.elements.start.value)
+            ? form.elements.start.value
+            : getLocalDate(new Date());
+        return { days, startDate };
+    }
+
+    /**
+     * Rebuild the plan from the form and show it
+     */
+    update() {
+        if (!this.element?.querySelector('.reading-plan__form')) return;
+
+        const { days, startDate } = this.getSettings();
+        this.plan = buildReadingPlan(this.books, days);
+
+        const dayCount = this.plan.days.length;
+        const average = Math.round(this.plan.totalVerses / dayCount);
+        this.element.querySelector('.reading-plan__summary').textContent =
+            `${this.books.length} books, ${this.plan.totalVerses.toLocaleString()} verses over ` +
+            `${dayCount} ${dayCount === 1 ? 'day' : 'days'} — about ${average.toLocaleString()} verses a day`;
+
+        this.element.querySelector('.reading-plan__days').innerHTML = this.plan.days.map(({ day, readings, verses }) => `
+            <li class="reading-plan__day">
+                <span class="reading-plan__date">Day ${day} · ${formatPlanDate(getPlanDate(startDate, day))}</span>
+                <span class="reading-plan__readings">${escapeHtml(readings.map(formatReading).join('; '))}</span>
+                <span class="reading-plan__verses">${verses.toLocaleString()}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Download the plan as a file
+     * @param {string} format - 'ics' or 'csv'
+     */
+    download(format) {
+        if (!this.plan) return;
+
+        const { startDate } = this.getSettings();
+        const name = `reading-plan-${this.plan.days.length}-days`;
+        const file = format === 'ics'
+            ? { content: planToICalendar(this.plan, startDate), type: 'text/calendar', name: `${name}.ics` }
+            : { content: planToCsv(this.plan, startDate), type: 'text/csv', name: `${name}.csv` };
+
+        downloadFile(file.content, file.type, file.name);
+    }
+}
+
+/**
+ * Save text as a file in the browser
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ * @param {string} name - File name
+ */
+function downloadFile(content, type, name) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Format a date as "YYYY-MM-DD" in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function getLocalDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a plan date for display, e.g. "Mon 6 Jan"
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @returns {string} Short date
+ */
+function formatPlanDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+        weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+    });
+}
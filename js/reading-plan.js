@@ -0,0 +1,243 @@
+/**
+ * Reading Plan - Splits the books, in timeline order, into daily readings
+ *
+ * Books are read in the order the timeline shows them (getDisplayDate), and each day
+ * gets roughly the same number of verses. A day's reading ends at a book boundary
+ * when one is close by, so books aren't left with a few stray verses.
+ *
+ * books.json has verse positions but no chapter divisions, so readings are given as
+ * verse ranges within a book (e.g. "Genesis vv. 1–612").
+ */
+
+import { getDisplayDate } from './data-loader.js';
+
+// A day may run this fraction of the daily load long or short to end at a book boundary
+const SNAP_FRACTION = 0.1;
+
+const CALENDAR_PRODUCT_ID = '-//Bible Timeline//Reading Plan//EN';
+
+/**
+ * Order books as the timeline shows them: by start date, undated books last
+ * @param {Array} books - Book objects
+ * @returns {Array} Sorted copy
+ */
+export function sortBooksChronologically(books) {
+    return [...books].sort((a, b) => {
+        const startA = getDisplayDate(a).start;
+        const startB = getDisplayDate(b).start;
+
+        if (startA === null || startB === null) {
+            return (startA === null) - (startB === null) || a.order - b.order;
+        }
+        return startA - startB || a.order - b.order;
+    });
+}
+
+/**
+ * Build a chronological reading plan
+ * @param {Array} books - Books to read
+ * @param {number} days - Number of days (at most one verse a day)
+ * @returns {Object} { days: [{ day, readings: [{ book, fromVerse, toVerse }], verses }], totalVerses }
+ */
+export function buildReadingPlan(books, days) {
+    // Each book's place in one continuous run of verses
+    let offset = 0;
+    const spans = sortBooksChronologically(books).map(book => {
+        const span = { book, start: offset, end: offset + book.verseCount };
+        offset = span.end;
+        return span;
+    });
+    const totalVerses = offset;
+
+    const dayCount = Math.max(1, Math.min(Math.floor(days) || 1, totalVerses));
+    const snap = Math.floor((totalVerses / dayCount) * SNAP_FRACTION);
+    const edges = spans.map(span => span.end);
+
+    const plan = [];
+    let cursor = 0;
+
+    for (let day = 1; day <= dayCount; day++) {
+        let end = day === dayCount ? totalVerses : Math.round((totalVerses * day) / dayCount);
+
+        // End at a nearby book boundary, leaving at least a verse for every later day
+        // (the last day always runs to the end)
+        const remainingDays = dayCount - day;
+        if (remainingDays > 0) {
+            let nearest = null;
+            for (const edge of edges) {
+                if (edge <= cursor || totalVerses - edge < remainingDays) continue;
+                if (Math.abs(edge - end) <= snap && (nearest === null || Math.abs(edge - end) < Math.abs(nearest - end))) {
+                    nearest = edge;
+                }
+            }
+            if (nearest !== null) end = nearest;
+        }
+        end = Math.max(end, cursor + 1);
+
+        plan.push({ day, readings: sliceReadings(spans, cursor, end), verses: end - cursor });
+        cursor = end;
+    }
+
+    if (cursor !== totalVerses) {
+        console.warn(`Reading plan covers ${cursor} of ${totalVerses} verses`);
+    }
+
+    return { days: plan, totalVerses };
+}
+
+/**
+ * Cut the readings for one day out of the run of verses
+ * @param {Array} spans - { book, start, end } in reading order
+ * @param {number} from - First verse of the day in the run (inclusive)
+ * @param {number} to - Last verse of the day in the run (exclusive)
+ * @returns {Array} Readings
+ */
+function sliceReadings(spans, from, to) {
+    return spans
+        .filter(span => span.end > from && span.start < to)
+        .map(({ book, start }) => {
+            const fromVerse = Math.max(from, start) - start + 1;
+            const toVerse = Math.min(to, start + book.verseCount) - start;
+            return { book, fromVerse, toVerse };
+        });
+}
+
+/**
+ * Describe a reading, e.g. "Ruth" or "Genesis vv. 613–1224"
+ * @param {Object} reading - Reading from buildReadingPlan
+ * @returns {string} Label
+ */
+export function formatReading(reading) {
+    const { book, fromVerse, toVerse } = reading;
+    if (fromVerse === 1 && toVerse === book.verseCount) return book.name;
+    if (fromVerse === toVerse) return `${book.name} v. ${fromVerse}`;
+    return `${book.name} vv. ${fromVerse}–${toVerse}`;
+}
+
+/**
+ * Get the calendar date of a plan day
+ * @param {string} startDate - First day as "YYYY-MM-DD"
+ * @param {number} day - Day number (1 = startDate)
+ * @returns {string} Date as "YYYY-MM-DD"
+ */
+export function getPlanDate(startDate, day) {
+    const [year, month, date] = startDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + day - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Export a plan as an iCalendar file with one all-day event per day
+ * @param {Object} plan - Plan from buildReadingPlan
+ * @param {string} startDate - First day as "YYYY-MM-DD"
+ * @returns {string} .ics file contents
+ */
+export function planToICalendar(plan, startDate) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const compact = (date) => date.replace(/-/g, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeCalendarText(`Chronological Bible reading plan (${plan.days.length} days)`)}`
+    ];
+
+    for (const { day, readings, verses } of plan.days) {
+        const date = getPlanDate(startDate, day);
+        const summary = readings.map(formatReading).join('; ');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:reading-plan-${compact(startDate)}-${plan.days.length}-day-${day}@bible-timeline`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${compact(date)}`,
+            `DTEND;VALUE=DATE:${compact(getPlanDate(startDate, day + 1))}`,
+            `SUMMARY:${escapeCalendarText(`Day ${day}: ${summary}`)}`,
+            `DESCRIPTION:${escapeCalendarText(`${verses.toLocaleString('en')} verses`)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldCalendarLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export a plan as CSV with one row per reading
+ * @param {Object} plan - Plan from buildReadingPlan
+ * @param {string} startDate - First day as "YYYY-MM-DD"
+ * @returns {string} CSV file contents
+ */
+export function planToCsv(plan, startDate) {
+    const rows = [['Day', 'Date', 'Book', 'Book ID', 'From verse', 'To verse', 'Verses', 'Reading']];
+
+    for (const { day, readings } of plan.days) {
+        const date = getPlanDate(startDate, day);
+        for (const reading of readings) {
+            rows.push([
+                day,
+                date,
+                reading.book.name,
+                reading.book.id,
+                reading.fromVerse,
+                reading.toVerse,
+                reading.toVerse - reading.fromVerse + 1,
+                formatReading(reading)
+            ]);
+        }
+    }
+
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for an iCalendar property value (RFC 5545 §3.3.11)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeCalendarText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line to 75 octets, continuing with a leading space (RFC 5545 §3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Line split with CRLF + space
+ */
+function foldCalendarLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break
+ * @param {string|number} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,199 @@
+/**
+ * Reading Progress - Which books the reader has read, kept in this browser only
+ *
+ * Progress is the number of verses read in each book (a book is read once every
+ * verse is), saved to localStorage. It can be exported to and imported from a JSON
+ * file to move it between browsers; nothing is sent anywhere.
+ */
+
+const STORAGE_KEY = 'bible-timeline:reading-progress';
+const EXPORT_VERSION = 1;
+
+export const READ_STATUS = {
+    UNREAD: 'unread',
+    PARTLY: 'partly',
+    READ: 'read'
+};
+
+export class ReadingProgress {
+    /**
+     * @param {Array} books - Every book object (progress is kept across canon changes)
+     * @param {Object} options - { onChange() } called after progress changes
+     */
+    constructor(books, options = {}) {
+        this.booksById = new Map(books.map(book => [book.id, book]));
+        this.onChange = options.onChange || null;
+
+        // bookId → verses read (only books with some progress)
+        this.versesRead = this.load();
+    }
+
+    /**
+     * Read saved progress, dropping anything that doesn't fit the current books
+     * @returns {Map} bookId → verses read
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return this.sanitize(saved.books || {});
+        } catch (error) {
+            console.warn('Could not read saved reading progress:', error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Save progress to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Could not save reading progress:', error.message);
+        }
+    }
+
+    /**
+     * Keep known books with whole, positive verse counts (capped at the book's length)
+     * @param {Object} entries - bookId → verses read
+     * @returns {Map} Clean progress
+     */
+    sanitize(entries) {
+        const progress = new Map();
+        for (const [bookId, verses] of Object.entries(entries)) {
+            const book = this.booksById.get(bookId);
+            if (!book || !Number.isInteger(verses) || verses <= 0) continue;
+            progress.set(bookId, Math.min(verses, book.verseCount));
+        }
+        return progress;
+    }
+
+    /**
+     * Get how many verses of a book have been read
+     * @param {string} bookId - Book ID
+     * @returns {number} Verses read
+     */
+    getVersesRead(bookId) {
+        return this.versesRead.get(bookId) || 0;
+    }
+
+    /**
+     * Get whether a book is unread, partly read or read
+     * @param {Object} book - Book object
+     * @returns {string} A READ_STATUS value
+     */
+    getStatus(book) {
+        const verses = this.getVersesRead(book.id);
+        if (verses === 0) return READ_STATUS.UNREAD;
+        return verses >= book.verseCount ? READ_STATUS.READ : READ_STATUS.PARTLY;
+    }
+
+    /**
+     * Get the fraction of a book read
+     * @param {Object} book - Book object
+     * @returns {number} 0 to 1
+     */
+    getFraction(book) {
+        return this.getVersesRead(book.id) / book.verseCount;
+    }
+
+    /**
+     * Check whether any progress has been recorded
+     * @returns {boolean} True if some book has been (partly) read
+     */
+    hasProgress() {
+        return this.versesRead.size > 0;
+    }
+
+    /**
+     * Count the read books in a list
+     * @param {Array} books - Book objects
+     * @returns {number} Books read in full
+     */
+    countRead(books) {
+        return books.filter(book => this.getStatus(book) === READ_STATUS.READ).length;
+    }
+
+    /**
+     * Set how many verses of a book have been read
+     * @param {string} bookId - Book ID
+     * @param {number} verses - Verses read (clamped to the book's length; 0 clears)
+     */
+    setVersesRead(bookId, verses) {
+        const book = this.booksById.get(bookId);
+        if (!book) return;
+
+        const clamped = Math.max(0, Math.min(Math.round(verses) || 0, book.verseCount));
+        if (clamped === this.getVersesRead(bookId)) return;
+
+        if (clamped === 0) {
+            this.versesRead.delete(bookId);
+        } else {
+            this.versesRead.set(bookId, clamped);
+        }
+        this.changed();
+    }
+
+    /**
+     * Mark a book as read, or as unread
+     * @param {string} bookId - Book ID
+     * @param {boolean} read - Whether the book has been read
+     */
+    setRead(bookId, read) {
+        const book = this.booksById.get(bookId);
+        if (book) this.setVersesRead(bookId, read ? book.verseCount : 0);
+    }
+
+    /**
+     * Build the JSON form of the progress (what's saved and exported)
+     * @returns {Object} { version, books: { bookId: versesRead } }
+     */
+    toJSON() {
+        return {
+            version: EXPORT_VERSION,
+            books: Object.fromEntries(this.versesRead)
+        };
+    }
+
+    /**
+     * Export progress as a JSON file's contents
+     * @returns {string} JSON text
+     */
+    exportJson() {
+        return JSON.stringify({ ...this.toJSON(), exported: new Date().toISOString() }, null, 2);
+    }
+
+    /**
+     * Replace progress with an exported file's contents
+     * @param {string} text - JSON text from exportJson
+     * @returns {number} Number of books with progress after importing
+     * @throws {Error} If the file isn't an export of reading progress
+     */
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a reading progress file: ${error.message}`);
+        }
+
+        if (!data || typeof data !== 'object' || typeof data.books !== 'object' || data.books === null) {
+            throw new Error('Not a reading progress file: expected "books" with a verse count per book');
+        }
+        if (data.version !== EXPORT_VERSION) {
+            throw new Error(`Unsupported reading progress version: ${JSON.stringify(data.version)}`);
+        }
+
+        this.versesRead = this.sanitize(data.books);
+        this.changed();
+        return this.versesRead.size;
+    }
+
+    /**
+     * Save and notify after a change
+     */
+    changed() {
+        this.save();
+        if (this.onChange) this.onChange();
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Rich Text - Renders the small Markdown subset used in data-file prose
+ *
+ * Supported:
+ *   Paragraphs (separated by a blank line)
+ *   - Bulleted lists        1. Numbered lists
+ *   **bold**  *italic*  _italic_
+ *   [label](https://example.org) links (http, https, mailto and #hash links only)
+ *   Scripture references such as "Jer 39:1-10" or "2 Kgs 25", linked to the book
+ *
+ * Everything else is escaped, so data files can't inject markup.
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+// [label](url), where the url may hold one level of balanced parentheses (e.g. Wikipedia links)
+const LINK_PATTERN = /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+const LIST_ITEM_PATTERN = /^\s*(?:([-*])|(\d+)\.)\s+(.*)$/;
+
+// "Jer 39", "Jer. 39:1", "1 Kgs 25:1-7", "Ps 137:1–6"
+const REFERENCE_PATTERN = /\b((?:[1-3]\s?)?[A-Z][a-z]+)\.?\s(\d{1,3})(?::\d{1,3}(?:[-–]\d{1,3}(?::\d{1,3})?)?)?\b/g;
+
+// Common abbreviations that aren't simply the start of the book's name
+const REFERENCE_ABBREVIATIONS = {
+    '1kgs': '1KI', '2kgs': '2KI',
+    'jdt': 'JDT', 'ps': 'PSA', 'pss': 'PSA', 'qoh': 'ECC', 'song': 'SNG', 'sg': 'SNG',
+    'mt': 'MAT', 'mk': 'MRK', 'lk': 'LUK', 'jn': 'JHN',
+    'phil': 'PHP', 'phlm': 'PHM', 'jas': 'JAS',
+    '1jn': '1JN', '2jn': '2JN', '3jn': '3JN', '1en': 'ENO', 'prman': 'MAN'
+};
+
+// Shortest name prefix accepted as an abbreviation (e.g. "Gen", "Jer")
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Build a function that resolves scripture references to books
+ * @param {Array} books - Book objects with id and name
+ * @returns {Function} (bookText) → book object, or null if it doesn't name exactly one book
+ */
+export function createReferenceResolver(books) {
+    const byId = new Map(books.map(book => [book.id, book]));
+    const names = books.map(book => ({ book, key: normalizeBookName(book.name) }));
+
+    return (text) => {
+        const key = normalizeBookName(text);
+
+        if (REFERENCE_ABBREVIATIONS[key]) {
+            return byId.get(REFERENCE_ABBREVIATIONS[key]) || null;
+        }
+
+        const exact = names.find(entry => entry.key === key);
+        if (exact) return exact.book;
+
+        if (key.replace(/^\d/, '').length < MIN_PREFIX_LENGTH) return null;
+        const matches = names.filter(entry => entry.key.startsWith(key));
+        return matches.length === 1 ? matches[0].book : null;
+    };
+}
+
+/**
+ * Render Markdown-subset text to safe HTML
+ * @param {string} text - Source text
+ * @param {Object} options - { resolveReference(bookText) → book|null } to link scripture references
+ * @returns {string} HTML string
+ */
+export function renderRichText(text, options = {}) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${renderInline(paragraph.join(' '), options)}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            const items = list.items.map(item => `<li>${renderInline(item, options)}</li>`).join('');
+            blocks.push(`<${list.tag}>${items}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (const line of String(text ?? '').split(/\r?\n/)) {
+        if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (item) {
+            const tag = item[1] ? 'ul' : 'ol';
+            flushParagraph();
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[3]);
+        } else if (list && /^\s/.test(line)) {
+            // Indented line continues the previous list item
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            flushList();
+            paragraph.push(line.trim());
+        }
+    }
+
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+/**
+ * Check that a link or image URL is safe to put in an attribute
+ * Allows http(s), mailto and #hash links, and relative paths (for images)
+ * @param {string} url - URL from a data file
+ * @param {Object} options - { allowRelative } to accept paths like "images/map.jpg"
+ * @returns {boolean} True if safe
+ */
+export function isSafeUrl(url, options = {}) {
+    if (typeof url !== 'string' || url.trim() === '') return false;
+
+    const trimmed = url.trim();
+    if (/^(https?:\/\/|mailto:|#)/i.test(trimmed)) return true;
+    if (!options.allowRelative) return false;
+
+    // Relative paths: no scheme (e.g. "javascript:") and not protocol-relative
+    return !/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !trimmed.startsWith('//');
+}
+
+/**
+ * Render a line of inline text: links, emphasis and scripture references
+ */
+function renderInline(text, options) {
+    let html = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(LINK_PATTERN)) {
+        html += renderTextSpan(text.slice(lastIndex, match.index), options);
+        html += renderLink(match[1], match[2]);
+        lastIndex = match.index + match[0].length;
+    }
+
+    return html + renderTextSpan(text.slice(lastIndex), options);
+}
+
+/**
+ * Render an explicit [label](url) link, or just the label if the URL isn't allowed
+ */
+function renderLink(label, url) {
+    const content = renderEmphasis(escapeHtml(label));
+    if (!isSafeUrl(url)) return content;
+
+    const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeHtml(url)}"${external}>${content}</a>`;
+}
+
+/**
+ * Render plain text with emphasis and scripture reference links
+ */
+function renderTextSpan(text, options) {
+    let html = renderEmphasis(escapeHtml(text));
+
+    if (options.resolveReference) {
+        html = html.replace(REFERENCE_PATTERN, (reference, bookText) => {
+            const book = options.resolveReference(bookText);
+            if (!book) return reference;
+            return `<a class="scripture-ref" href="#book=${encodeURIComponent(book.id)}" ` +
+                `data-book="${escapeHtml(book.id)}" title="${escapeHtml(book.name)}">${reference}</a>`;
+        });
+    }
+
+    return html;
+}
+
+/**
+ * Apply **bold**, *italic* and _italic_ to already-escaped text
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+        .replace(/(^|[\s(])_(?=\S)(.+?)_(?=$|[\s).,;:!?])/g, '$1<em>$2</em>');
+}
+
+/**
+ * Normalize a book name or abbreviation for lookup ("1 Kgs." → "1kgs")
+ */
+function normalizeBookName(text) {
+    return text.toLowerCase().replace(/[\s.]/g, '');
+}
@@ -0,0 +1,63 @@
+/**
+ * Style Batch - Collects card transform/opacity changes and writes them together
+ *
+ * Managers queue styles while they work out a frame; the queue is written in one
+ * pass once the current task is done (before the browser paints), so DOM updates
+ * for adding and removing cards aren't interleaved with style writes. A value is
+ * only written if it differs from the last one written to that element.
+ */
+
+const pending = new Map();       // element → { property: value } waiting to be written
+const written = new WeakMap();   // element → { property: value } last written
+let scheduled = false;
+
+/**
+ * Queue style changes for an element (later calls in the same frame win)
+ * @param {HTMLElement} element - Element to style
+ * @param {Object} styles - { property: value } using style property names (e.g. transform, opacity, zIndex)
+ */
+export function queueStyles(element, styles) {
+    const queued = pending.get(element);
+    if (queued) {
+        Object.assign(queued, styles);
+    } else {
+        pending.set(element, { ...styles });
+    }
+
+    if (!scheduled) {
+        scheduled = true;
+        queueMicrotask(flushStyles);
+    }
+}
+
+/**
+ * Forget an element's queued and last written styles (e.g. when its card goes back to a pool)
+ * @param {HTMLElement} element - Element being reset
+ */
+export function forgetStyles(element) {
+    pending.delete(element);
+    written.delete(element);
+}
+
+/**
+ * Write all queued styles now
+ */
+export function flushStyles() {
+    scheduled = false;
+
+    for (const [element, styles] of pending) {
+        let last = written.get(element);
+        if (!last) {
+            last = {};
+            written.set(element, last);
+        }
+
+        for (const [property, value] of Object.entries(styles)) {
+            if (last[property] === value) continue;
+            element.style[property] = value;
+            last[property] = value;
+        }
+    }
+
+    pending.clear();
+}
@@ -2,7 +2,26 @@
  * Timeline Renderer - Handles year and era display for continuous scroll
  */
 
-import { formatYearParts, getEraForYear, getDisplayDate, CURRENT_YEAR, ERAS, MILESTONES } from './data-loader.js';
+import { formatYearParts, getEraForYear, getDisplayDate, getMilestones, getEras, CURRENT_YEAR } from './data-loader.js';
+import { READ_STATUS } from './reading-progress.js';
+
+// Number of canon-level-N glow classes defined in main.css
+const MAX_CANON_LEVEL = 5;
+
+/**
+ * How years are spread along the track
+ * - linear: equal distance per year
+ * - compressed: same density-weighted mapping as the scroll, so the dot moves steadily
+ * - logarithmic: log of years before the present, giving recent centuries more room
+ */
+export const TRACK_SCALES = {
+    LINEAR: 'linear',
+    COMPRESSED: 'compressed',
+    LOGARITHMIC: 'logarithmic'
+};
+
+// Years added before taking the log, so the last few years don't take over the track
+const LOG_SCALE_OFFSET = 1000;
 
 export class TimelineRenderer {
     constructor(options = {}) {
@@ -10,6 +29,7 @@ export class TimelineRenderer {
         this.yearNumber = document.querySelector('.year-number');
         this.yearSuffix = document.querySelector('.year-suffix');
         this.eraText = document.querySelector('.era-text');
+        this.eraProgress = document.querySelector('.era-progress');
         this.timelineDot = document.querySelector('.timeline-dot');
         this.timelineTrack = document.querySelector('.timeline-track');
         this.youAreHereMarker = document.querySelector('.timeline-you-are-here');
@@ -25,6 +45,10 @@ export class TimelineRenderer {
         this.minYear = -4000;
         this.maxYear = CURRENT_YEAR;
 
+        // Track scale, and the scroll mapping the compressed scale follows
+        this.trackScale = options.trackScale || TRACK_SCALES.COMPRESSED;
+        this.yearMapping = null;
+
         // Tick marks for book start dates
         this.ticks = []; // Array of { year, element, visible }
 
@@ -47,6 +71,120 @@ export class TimelineRenderer {
     setYearRange(minYear, maxYear) {
         this.minYear = minYear;
         this.maxYear = maxYear;
+        this.repositionTrack();
+    }
+
+    /**
+     * Set the scroll mapping (and its year range) used by the compressed scale
+     * @param {Object} yearMapping - Result of buildYearMapping
+     */
+    setYearMapping(yearMapping) {
+        this.yearMapping = yearMapping;
+        this.setYearRange(yearMapping.minYear, yearMapping.maxYear);
+    }
+
+    /**
+     * Change how years are spread along the track
+     * @param {string} scale - One of TRACK_SCALES
+     */
+    setTrackScale(scale) {
+        if (!Object.values(TRACK_SCALES).includes(scale)) {
+            throw new Error(`Unknown track scale: ${scale}`);
+        }
+        this.trackScale = scale;
+        this.repositionTrack();
+    }
+
+    /**
+     * Move everything already placed on the track to match the current range and scale
+     */
+    repositionTrack() {
+        for (const marker of [...this.ticks, ...this.eraDividers, ...this.milestones]) {
+            marker.element.style.top = `${this.yearToTrackPercent(marker.year)}%`;
+        }
+        if (this.currentYear !== null) {
+            this.updateDotPosition(this.currentYear);
+        }
+    }
+
+    /**
+     * Convert a year to a vertical position on the track
+     * The line gradient fades at 10% and 90%, so positions stay within 15% to 85%
+     * @param {number} year - Year to place
+     * @returns {number} Top offset as a percentage of the track height
+     */
+    yearToTrackPercent(year) {
+        return 15 + Math.max(0, Math.min(1, this.yearToProgress(year))) * 70;
+    }
+
+    /**
+     * Convert a vertical position on the track back to a year
+     * Inverse of yearToTrackPercent; positions outside 15% to 85% clamp to the range ends
+     * @param {number} percent - Top offset as a percentage of the track height
+     * @returns {number} Year at that position
+     */
+    trackPercentToYear(percent) {
+        const progress = Math.max(0, Math.min(1, (percent - 15) / 70));
+        return Math.max(this.minYear, Math.min(this.maxYear, this.progressToYear(progress)));
+    }
+
+    /**
+     * Convert a year to progress along the track (0 at minYear, 1 at maxYear) for the current scale
+     * @param {number} year - Year
+     * @returns {number} Progress (may fall outside 0-1 for years outside the range)
+     */
+    yearToProgress(year) {
+        const span = this.maxYear - this.minYear;
+
+        switch (this.trackScale) {
+            case TRACK_SCALES.COMPRESSED: {
+                if (!this.yearMapping) break;
+                const { start, end } = this.getMappingBounds();
+                return (this.yearMapping.yearToScroll(year) - start) / (end - start);
+            }
+            case TRACK_SCALES.LOGARITHMIC: {
+                const yearsBefore = Math.max(0, this.maxYear - year);
+                return 1 - Math.log(1 + yearsBefore / LOG_SCALE_OFFSET) / Math.log(1 + span / LOG_SCALE_OFFSET);
+            }
+        }
+
+        return (year - this.minYear) / span;
+    }
+
+    /**
+     * Convert progress along the track back to a year for the current scale
+     * @param {number} progress - Progress from 0 to 1
+     * @returns {number} Year
+     */
+    progressToYear(progress) {
+        const span = this.maxYear - this.minYear;
+
+        switch (this.trackScale) {
+            case TRACK_SCALES.COMPRESSED: {
+                if (!this.yearMapping) break;
+                const { start, end } = this.getMappingBounds();
+                return this.yearMapping.scrollToYear(start + progress * (end - start));
+            }
+            case TRACK_SCALES.LOGARITHMIC: {
+                const logSpan = Math.log(1 + span / LOG_SCALE_OFFSET);
+                const yearsBefore = Math.expm1((1 - progress) * logSpan) * LOG_SCALE_OFFSET;
+                return Math.round(this.maxYear - yearsBefore);
+            }
+        }
+
+        return Math.round(this.minYear + progress * span);
+    }
+
+    /**
+     * Get the scroll positions of the first and last year in the mapping
+     * (the mapping leaves small margins at either end of 0-1)
+     * @returns {Object} { start, end }
+     */
+    getMappingBounds() {
+        return {
+            start: this.yearMapping.yearToScroll(this.minYear),
+            end: this.yearMapping.yearToScroll(this.maxYear)
+        };
     }
 
     /**
@@ -56,37 +194,44 @@ export class TimelineRenderer {
     initTicks(books) {
         if (!this.timelineTrack) return;
 
+        // Replace any ticks from a previous call (e.g. after the dating mode changes)
+        if (this.tickContainer) {
+            this.tickContainer.remove();
+        }
+        this.ticks = [];
+        this.canonizationLevel = 0;
+
         // Create a container for ticks
         this.tickContainer = document.createElement('div');
         this.tickContainer.className = 'timeline-ticks';
         this.timelineTrack.appendChild(this.tickContainer);
 
         // Get unique start years and create ticks
-        const startYears = new Map(); // year -> count of books starting
+        const startYears = new Map(); // year -> ids of books starting
 
         books.forEach(book => {
             const date = getDisplayDate(book);
             if (date.start !== null) {
-                const count = startYears.get(date.start) || 0;
-                startYears.set(date.start, count + 1);
+                const ids = startYears.get(date.start) || [];
+                ids.push(book.id);
+                startYears.set(date.start, ids);
             }
         });
 
         // Create tick elements
-        for (const [year, count] of startYears) {
+        for (const [year, bookIds] of startYears) {
             const tick = document.createElement('div');
             tick.className = 'timeline-tick';
             tick.dataset.year = year;
 
             // Position tick based on year
-            const progress = (year - this.minYear) / (this.maxYear - this.minYear);
-            const topPercent = 15 + Math.max(0, Math.min(1, progress)) * 70;
-            tick.style.top = `${topPercent}%`;
+            tick.style.top = `${this.yearToTrackPercent(year)}%`;
 
             this.tickContainer.appendChild(tick);
 
             this.ticks.push({
                 year,
+                bookIds,
                 element: tick,
                 visible: false
             });
@@ -104,20 +249,17 @@ export class TimelineRenderer {
     initEraDividers() {
         if (!this.eraContainer) return;
 
-        // Get all eras with valid start dates (skip WISDOM which has null)
-        const erasWithDates = Object.values(ERAS)
-            .filter(era => era.start !== null)
-            .sort((a, b) => a.start - b.start);
+        // Get all eras with valid start dates (skip the undated era)
+        const erasWithDates = getEras().filter(era => era.start !== null);
 
         for (const era of erasWithDates) {
             const divider = document.createElement('div');
             divider.className = 'era-divider';
             divider.dataset.era = era.id;
+            divider.dataset.year = era.start;
 
             // Position based on era start year
-            const progress = (era.start - this.minYear) / (this.maxYear - this.minYear);
-            const topPercent = 15 + Math.max(0, Math.min(1, progress)) * 70;
-            divider.style.top = `${topPercent}%`;
+            divider.style.top = `${this.yearToTrackPercent(era.start)}%`;
 
             // Create label (left side)
             const label = document.createElement('span');
@@ -209,12 +351,19 @@ export class TimelineRenderer {
      * Initialize milestone markers along the timeline
      * Milestones are key events in Bible canonization history
      * Excludes large milestones (like Living Tradition) which only show as cards
+     * Safe to call again when the canon tradition changes
      */
     initMilestones() {
         if (!this.eraContainer) return;
 
+        // Replace markers from a previous call
+        for (const milestone of this.milestones) {
+            milestone.element.remove();
+        }
+        this.milestones = [];
+
         // Filter out large milestones - they only appear as cards, not timeline markers
-        const timelineMilestones = MILESTONES.filter(m => !m.isLargeMilestone);
+        const timelineMilestones = getMilestones().filter(m => !m.isLargeMilestone);
 
         for (const milestone of timelineMilestones) {
             const marker = document.createElement('div');
@@ -222,9 +371,7 @@ export class TimelineRenderer {
             marker.dataset.year = milestone.year;
 
             // Position based on milestone year
-            const progress = (milestone.year - this.minYear) / (this.maxYear - this.minYear);
-            const topPercent = 15 + Math.max(0, Math.min(1, progress)) * 70;
-            marker.style.top = `${topPercent}%`;
+            marker.style.top = `${this.yearToTrackPercent(milestone.year)}%`;
 
             // Create label
             const label = document.createElement('span');
@@ -308,15 +455,17 @@ export class TimelineRenderer {
     updateCanonizationGlow(year) {
         if (!this.tickContainer) return;
 
-        // Count how many canonization milestones we've passed
-        // Only count the council milestones, not "Living Tradition"
-        const canonMilestones = [382, 393, 397, 405, 1546];
-        let newLevel = 0;
-        for (const milestoneYear of canonMilestones) {
-            if (year >= milestoneYear) {
-                newLevel++;
+        // Count how many of the tradition's canonization milestones we've passed
+        // (the markers skip "Living Tradition"), scaled so the last one always reaches full glow
+        let passed = 0;
+        for (const milestone of this.milestones) {
+            if (year >= milestone.year) {
+                passed++;
             }
         }
+        const newLevel = this.milestones.length > 0
+            ? Math.round((passed / this.milestones.length) * MAX_CANON_LEVEL)
+            : 0;
 
         // Update if level changed
         if (newLevel !== this.canonizationLevel) {
@@ -401,15 +550,8 @@ export class TimelineRenderer {
     updateDotPosition(year) {
         if (!this.timelineDot) return;
 
-        // Calculate progress (0 at minYear, 1 at maxYear)
-        const progress = (year - this.minYear) / (this.maxYear - this.minYear);
-        const clampedProgress = Math.max(0, Math.min(1, progress));
-
         // Position dot along the line (15% to 85% of viewport height)
-        // The line gradient fades at 10% and 90%, so we stay within visible range
-        const topPercent = 15 + clampedProgress * 70;
-
-        this.timelineDot.style.top = `${topPercent}%`;
+        this.timelineDot.style.top = `${this.yearToTrackPercent(year)}%`;
     }
 
     /**
@@ -459,6 +601,50 @@ export class TimelineRenderer {
         }
     }
 
+    /**
+     * Mark the ticks where the given books start (e.g. while a person chip is hovered)
+     * @param {Array|null} bookIds - Book ids to highlight, or null to clear
+     */
+    highlightBooks(bookIds) {
+        const ids = new Set(bookIds || []);
+        for (const tick of this.ticks) {
+            tick.element.classList.toggle('is-highlighted', tick.bookIds.some(id => ids.has(id)));
+        }
+        this.tickContainer?.classList.toggle('has-highlight', ids.size > 0);
+    }
+
+    /**
+     * Mark ticks whose books have been read (all of them) or partly read (any progress)
+     * @param {Function} getStatus - (bookId) → READ_STATUS value
+     */
+    markReadBooks(getStatus) {
+        for (const tick of this.ticks) {
+            const statuses = tick.bookIds.map(getStatus);
+            const allRead = statuses.every(status => status === READ_STATUS.READ);
+            tick.element.classList.toggle('is-read', allRead);
+            tick.element.classList.toggle('is-partly-read', !allRead && statuses.some(status => status !== READ_STATUS.UNREAD));
+        }
+    }
+
+    /**
+     * Show reading progress for the current era next to its name
+     * @param {string} text - e.g. "6/14 books read", or '' to hide
+     */
+    setEraProgress(text) {
+        if (!this.eraProgress) return;
+        this.eraProgress.textContent = text ? `— ${text}` : '';
+        this.eraProgress.hidden = !text;
+    }
+
+    /**
+     * Force the next update() to redraw everything
+     * Used after the year range or ticks are rebuilt
+     */
+    invalidate() {
+        this.currentYear = null;
+        this.currentEra = null;
+    }
+
     /**
      * Get current year
      * @returns {number} Current year
@@ -0,0 +1,135 @@
+/**
+ * Track Scrubber - Click or drag the timeline track to move through history
+ *
+ * - Click anywhere on the track: smooth scroll to that year
+ * - Drag the dot (or along the track): scrub, following the pointer
+ * - Click an era divider or milestone marker: jump to its year
+ *
+ * Uses pointer events, so mouse, touch and pen all work.
+ */
+
+const DRAG_THRESHOLD = 3; // px of movement before a press counts as a drag
+
+export class TrackScrubber {
+    /**
+     * @param {TimelineRenderer} renderer - Renderer that owns the track layout
+     * @param {Object} options - { onSeek(year, behavior) } called with 'smooth' for clicks, 'instant' while dragging
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        this.onSeek = options.onSeek || null;
+
+        this.track = document.querySelector('.timeline-track');
+        this.eraContainer = document.getElementById('timeline-eras');
+
+        // Active drag: { pointerId, startY, moved }
+        this.drag = null;
+        this.pendingY = null;
+        this.frameRequested = false;
+
+        this.bindEvents();
+    }
+
+    /**
+     * Set up pointer handlers on the track and markers
+     */
+    bindEvents() {
+        if (!this.track) return;
+
+        this.track.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.track.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.track.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.track.addEventListener('pointercancel', (e) => this.endDrag(e));
+
+        // Era dividers and milestone markers jump straight to their year
+        this.eraContainer?.addEventListener('click', (e) => {
+            const marker = e.target.closest('.era-divider, .milestone-marker');
+            if (!marker || marker.dataset.year === undefined) return;
+            this.seek(parseInt(marker.dataset.year, 10), 'smooth');
+        });
+    }
+
+    /**
+     * Start a press on the dot or the track's hit area
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        if (!e.target.closest('.timeline-dot, .timeline-scrubber')) return;
+        if (e.button !== 0) return;
+
+        e.preventDefault();
+        this.track.setPointerCapture(e.pointerId);
+        this.drag = { pointerId: e.pointerId, startY: e.clientY, moved: false };
+        document.body.classList.add('is-scrubbing');
+    }
+
+    /**
+     * Follow the pointer while dragging
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        if (!this.drag.moved && Math.abs(e.clientY - this.drag.startY) < DRAG_THRESHOLD) return;
+        this.drag.moved = true;
+
+        // Coalesce moves into one seek per frame
+        this.pendingY = e.clientY;
+        if (!this.frameRequested) {
+            this.frameRequested = true;
+            requestAnimationFrame(() => {
+                this.frameRequested = false;
+                if (this.pendingY !== null) {
+                    this.seek(this.clientYToYear(this.pendingY), 'instant');
+                    this.pendingY = null;
+                }
+            });
+        }
+    }
+
+    /**
+     * Finish a press: a press without movement is a click
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        this.seek(this.clientYToYear(e.clientY), this.drag.moved ? 'instant' : 'smooth');
+        this.endDrag(e);
+    }
+
+    /**
+     * Stop tracking the current drag
+     * @param {PointerEvent} e - Pointer event
+     */
+    endDrag(e) {
+        if (!this.drag) return;
+
+        if (this.track.hasPointerCapture(e.pointerId)) {
+            this.track.releasePointerCapture(e.pointerId);
+        }
+        this.drag = null;
+        this.pendingY = null;
+        document.body.classList.remove('is-scrubbing');
+    }
+
+    /**
+     * Convert a viewport Y coordinate to a year on the track
+     * @param {number} clientY - Pointer Y in viewport coordinates
+     * @returns {number} Year
+     */
+    clientYToYear(clientY) {
+        const rect = this.track.getBoundingClientRect();
+        const percent = rect.height > 0 ? ((clientY - rect.top) / rect.height) * 100 : 0;
+        return this.renderer.trackPercentToYear(percent);
+    }
+
+    /**
+     * Ask the page to scroll to a year
+     * @param {number} year - Target year
+     * @param {string} behavior - 'smooth' or 'instant'
+     */
+    seek(year, behavior) {
+        if (this.onSeek) this.onSeek(year, behavior);
+    }
+}
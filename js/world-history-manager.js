@@ -0,0 +1,176 @@
+/**
+ * World History Manager - Optional lane of the secular empires ruling at the current year
+ *
+ * Each empire chip shows the empire's dates and the ruler (or Egyptian dynasty) of the moment.
+ * While the lane is on, the highest-ranked empire tints the era label.
+ */
+
+import { formatDateRange } from './data-loader.js';
+import { escapeHtml } from './html-utils.js';
+import { IntervalIndex } from './lookup.js';
+
+export class WorldHistoryManager {
+    /**
+     * @param {Array} empires - Array of empire objects from empires.json
+     * @param {HTMLElement} container - Lane element for the chips
+     */
+    constructor(empires, container) {
+        this.empires = [...empires].sort((a, b) => a.start - b.start);
+
+        // Indexes over the inclusive ranges; queries are narrowed to the exact rules below
+        this.empireIndex = new IntervalIndex(this.empires, empire => empire.start, empire => empire.end);
+        this.rulerIndexes = new Map(this.empires.map(empire => [
+            empire.id,
+            new IntervalIndex(empire.rulers, ruler => ruler.start, ruler => ruler.end)
+        ]));
+        this.container = container;
+        this.eraLabel = document.querySelector('.era-label');
+
+        // Track visible empires: empireId → { element, empire, ruler }
+        this.visibleEmpires = new Map();
+
+        this.enabled = false;
+        this.tintEmpireId = null;
+        this.currentYear = null;
+    }
+
+    /**
+     * Turn the lane on or off
+     * @param {boolean} enabled - Whether to show the lane
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        const year = this.currentYear;
+        this.clear();
+        this.currentYear = year;
+        if (enabled && year !== null) this.updateForYear(year);
+    }
+
+    /**
+     * Update the lane for a given year
+     * @param {number} year - Current year in timeline
+     */
+    updateForYear(year) {
+        this.currentYear = year;
+        if (!this.enabled) return;
+
+        const active = this.empireIndex.query(year).filter(empire => year < empire.end);
+        const activeIds = new Set(active.map(empire => empire.id));
+
+        for (const empireId of [...this.visibleEmpires.keys()]) {
+            if (!activeIds.has(empireId)) this.hideEmpire(empireId);
+        }
+
+        for (const empire of active) {
+            if (!this.visibleEmpires.has(empire.id)) this.showEmpire(empire);
+            this.updateRuler(empire, year);
+        }
+
+        this.container?.classList.toggle('visible', active.length > 0);
+        this.updateTint(active);
+    }
+
+    /**
+     * Add an empire's chip, keeping the lane in order of start year
+     * @param {Object} empire - Empire object
+     */
+    showEmpire(empire) {
+        if (!this.container) return;
+
+        const element = this.createChip(empire);
+
+        const next = [...this.visibleEmpires.values()]
+            .filter(data => data.empire.start > empire.start)
+            .sort((a, b) => a.empire.start - b.empire.start)[0];
+        this.container.insertBefore(element, next ? next.element : null);
+
+        this.visibleEmpires.set(empire.id, { element, empire, ruler: undefined });
+    }
+
+    /**
+     * Remove an empire's chip
+     * @param {string} empireId - Empire ID
+     */
+    hideEmpire(empireId) {
+        const data = this.visibleEmpires.get(empireId);
+        if (!data) return;
+
+        data.element.remove();
+        this.visibleEmpires.delete(empireId);
+    }
+
+    /**
+     * Show the ruler of the moment (the latest to take power, if reigns overlap)
+     * @param {Object} empire - Empire object
+     * @param {number} year - Current year
+     */
+    updateRuler(empire, year) {
+        const data = this.visibleEmpires.get(empire.id);
+        if (!data) return;
+
+        const ruler = this.rulerIndexes.get(empire.id).query(year)
+            .filter(r => year < r.end || r.start === r.end)
+            .pop() || null;
+        if (ruler === data.ruler) return;
+        data.ruler = ruler;
+
+        const rulerElement = data.element.querySelector('.empire-chip__ruler');
+        rulerElement.textContent = ruler
+            ? `${ruler.name}, ${formatDateRange(ruler.start, ruler.end)}`
+            : '';
+        rulerElement.hidden = !ruler;
+    }
+
+    /**
+     * Create an empire chip
+     * @param {Object} empire - Empire object
+     * @returns {HTMLElement} Chip element
+     */
+    createChip(empire) {
+        const chip = document.createElement('div');
+        chip.className = 'empire-chip';
+        chip.dataset.empireId = empire.id;
+        chip.style.setProperty('--empire-color', empire.color);
+
+        chip.innerHTML = `
+            <span class="empire-chip__name">${escapeHtml(empire.name)}</span>
+            <span class="empire-chip__dates">${formatDateRange(empire.start, empire.end)}</span>
+            <span class="empire-chip__ruler" hidden></span>
+        `;
+
+        return chip;
+    }
+
+    /**
+     * Tint the era label with the color of the highest-ranked active empire
+     * (the most recently founded wins a tie)
+     * @param {Array} active - Active empires in order of start year
+     */
+    updateTint(active) {
+        const leader = active.reduce((best, empire) =>
+            !best || (empire.rank || 0) >= (best.rank || 0) ? empire : best, null);
+        const leaderId = leader ? leader.id : null;
+        if (leaderId === this.tintEmpireId || !this.eraLabel) return;
+
+        this.tintEmpireId = leaderId;
+        this.eraLabel.classList.toggle('has-empire', Boolean(leader));
+        if (leader) {
+            this.eraLabel.style.setProperty('--empire-color', leader.color);
+        } else {
+            this.eraLabel.style.removeProperty('--empire-color');
+        }
+    }
+
+    /**
+     * Clear all visible empires and the tint
+     */
+    clear() {
+        for (const [empireId] of this.visibleEmpires) {
+            this.hideEmpire(empireId);
+        }
+        this.container?.classList.remove('visible');
+        this.updateTint([]);
+        this.currentYear = null;
+    }
+}